@@ -0,0 +1,1069 @@
+// Type definitions for node-gw2-api
+// The list*, get* and iterate* declarations follow the endpoint registry of src/endpoints.js,
+// test/gw2apitests.js checks them against the methods the library actually exports.
+
+import { EventEmitter } from 'events';
+
+declare namespace GW2API {
+  type Lang = 'en' | 'de' | 'fr' | 'es' | 'zh';
+
+  /** Options of the GW2API constructor */
+  interface Config {
+    baseURL?: string;
+    timeout?: number;
+    defaultLang?: Lang;
+    cacheTimeout?: number;
+    maxCacheObjects?: number;
+    maxIdsPerRequest?: number;
+    maxConcurrentRequests?: number;
+    rateLimit?: RateLimiterOptions | false;
+    maxRetries?: number;
+    retryDelay?: number;
+    onRetry?: (event: RetryEvent) => void;
+    meta?: boolean;
+    cacheStore?: object | string;
+    cacheOptions?: object;
+    cachePolicy?: { [pathPattern: string]: number };
+    staleWhileRevalidate?: number;
+    staleIfError?: number;
+    staticStore?: StaticStoreOptions;
+    priceHistory?: PriceHistoryOptions;
+    checkPermissions?: boolean;
+    fixtures?: FixtureOptions;
+    validate?: 'throw' | 'warn' | boolean;
+    schemas?: { [endpointPath: string]: JSONSchema };
+    schemaVersion?: string;
+    logger?: { warn(message: string): void };
+  }
+
+  /** The JSON schema subset supported by config.schemas */
+  interface JSONSchema {
+    type?: string | string[];
+    enum?: any[];
+    properties?: { [name: string]: JSONSchema };
+    required?: string[];
+    items?: JSONSchema;
+  }
+
+  interface RateLimiterOptions {
+    bucketSize?: number;
+    refillRate?: number;
+  }
+
+  interface StaticStoreOptions {
+    directory: string;
+    endpoints?: string[];
+    buildCheckInterval?: number;
+  }
+
+  interface PriceHistoryOptions {
+    directory: string;
+    /** Seconds points are kept, defaults to 30 days */
+    retention?: number;
+  }
+
+  interface FixtureOptions {
+    mode: 'record' | 'replay';
+    directory: string;
+  }
+
+  /** Per-call options, the last argument of every list*, get* and iterate* method */
+  interface RequestOptions {
+    meta?: boolean;
+    lang?: Lang;
+    signal?: AbortSignal;
+    timeout?: number;
+    /** Resolve referenced ids into objects, see README */
+    expand?: boolean | ReferenceType[] | { [type in ReferenceType]?: boolean };
+  }
+
+  type ReferenceType = 'items' | 'skins' | 'upgrades' | 'infusions' | 'dyes' | 'currencies';
+
+  interface IterateOptions {
+    pageSize?: number;
+    page?: number;
+    limit?: number;
+    params?: { [name: string]: any };
+    lang?: Lang;
+    apiKey?: string;
+    signal?: AbortSignal;
+    timeout?: number;
+  }
+
+  interface LocalizedOptions extends RequestOptions {
+    langs?: Lang[];
+    /** Fields always turned into language maps, defaults to name, description, title, requirement and locked_text */
+    fields?: string[];
+    apiKey?: string;
+  }
+
+  interface Meta {
+    pageSize?: number;
+    pageTotal?: number;
+    resultCount?: number;
+    resultTotal?: number;
+    httpStatus?: number;
+    date?: Date;
+    origin: 'network' | 'cache';
+    /** Set when the data comes from cache entries past their TTL */
+    stale?: boolean;
+  }
+
+  interface WithMeta<T> {
+    data: T;
+    meta: Meta;
+  }
+
+  /** Resolved value of a call: the data, or { data, meta } when options.meta is true */
+  type Result<T, O> = O extends { meta: true } ? WithMeta<T> : T;
+
+  /** A single id, a list of ids or 'all' */
+  type Ids<K> = K | K[] | 'all';
+
+  /** Objects resolved for the ids of a get* call, the list of ids without ids */
+  type Details<T, K, I> = [I] extends [undefined] ? K[] : I extends any[] | 'all' ? DetailsArray<T> : T;
+
+  interface DetailsArray<T> extends Array<T> {
+    /** Chunks that failed while others succeeded */
+    failures?: Failure[];
+    stale?: boolean;
+  }
+
+  interface Failure {
+    ids: Array<number | string>;
+    error: GW2APIError;
+  }
+
+  /*************
+   * RESPONSES *
+   *************/
+
+  interface ApiObject {
+    id?: number | string;
+    [field: string]: any;
+  }
+
+  interface Build {
+    id: number;
+  }
+
+  interface Item {
+    id: number;
+    chat_link: string;
+    name: string;
+    icon?: string;
+    description?: string;
+    type: string;
+    rarity: string;
+    level: number;
+    vendor_value: number;
+    default_skin?: number;
+    flags: string[];
+    game_types: string[];
+    restrictions: string[];
+    upgrades_into?: Array<{ upgrade: string; item_id: number }>;
+    upgrades_from?: Array<{ upgrade: string; item_id: number }>;
+    details?: { [field: string]: any };
+  }
+
+  interface MaterialCategory {
+    id: number;
+    name: string;
+    items: number[];
+    order: number;
+  }
+
+  interface Recipe {
+    id: number;
+    type: string;
+    output_item_id: number;
+    output_item_count: number;
+    time_to_craft_ms: number;
+    disciplines: string[];
+    min_rating: number;
+    flags: string[];
+    ingredients: Array<{ item_id: number; count: number }>;
+    guild_ingredients?: Array<{ upgrade_id: number; count: number }>;
+    output_upgrade_id?: number;
+    chat_link: string;
+  }
+
+  interface Skin {
+    id: number;
+    name: string;
+    type: string;
+    flags: string[];
+    restrictions: string[];
+    icon: string;
+    rarity: string;
+    description?: string;
+    details?: { [field: string]: any };
+  }
+
+  interface Account {
+    id: string;
+    name: string;
+    age: number;
+    world: number;
+    guilds: string[];
+    guild_leader?: string[];
+    created: string;
+    access: string[];
+    commander: boolean;
+    fractal_level?: number;
+    daily_ap?: number;
+    monthly_ap?: number;
+    wvw_rank?: number;
+  }
+
+  interface AccountAchievement {
+    id: number;
+    current?: number;
+    max?: number;
+    done: boolean;
+    bits?: number[];
+    repeated?: number;
+  }
+
+  interface InventorySlot {
+    id: number;
+    count: number;
+    charges?: number;
+    skin?: number | Skin;
+    upgrades?: Array<number | Item>;
+    infusions?: Array<number | Item>;
+    binding?: 'Account' | 'Character';
+    bound_to?: string;
+    /** Added by the expand option */
+    item?: Item;
+  }
+
+  interface MaterialSlot {
+    id: number;
+    category: number;
+    binding?: 'Account';
+    count: number;
+    /** Added by the expand option */
+    item?: Item;
+  }
+
+  interface WalletEntry {
+    id: number;
+    value: number;
+    /** Added by the expand option */
+    currency?: Currency;
+  }
+
+  interface TokenInfo {
+    id: string;
+    name: string;
+    permissions: string[];
+  }
+
+  interface EquipmentSlot {
+    id: number;
+    slot: string;
+    upgrades?: Array<number | Item>;
+    infusions?: Array<number | Item>;
+    skin?: number | Skin;
+    dyes?: Array<number | Color | null>;
+    binding?: 'Account' | 'Character';
+    bound_to?: string;
+    /** Added by the expand option */
+    item?: Item;
+  }
+
+  interface Bag {
+    id: number;
+    size: number;
+    inventory: Array<InventorySlot | null>;
+    /** Added by the expand option */
+    item?: Item;
+  }
+
+  interface Character {
+    name: string;
+    race: string;
+    gender: string;
+    profession: string;
+    level: number;
+    guild?: string;
+    age: number;
+    created: string;
+    deaths: number;
+    title?: number;
+    crafting?: Array<{ discipline: string; rating: number; active: boolean }>;
+    equipment?: EquipmentSlot[];
+    bags?: Array<Bag | null>;
+    [field: string]: any;
+  }
+
+  interface Transaction {
+    id: number;
+    item_id: number;
+    price: number;
+    quantity: number;
+    created: string;
+    purchased?: string;
+    /** Added by the expand option */
+    item?: Item;
+  }
+
+  interface Price {
+    id: number;
+    whitelisted: boolean;
+    buys: { quantity: number; unit_price: number };
+    sells: { quantity: number; unit_price: number };
+    /** Added by the expand option */
+    item?: Item;
+  }
+
+  interface Listing {
+    listings: number;
+    unit_price: number;
+    quantity: number;
+  }
+
+  interface Listings {
+    id: number;
+    buys: Listing[];
+    sells: Listing[];
+    /** Added by the expand option */
+    item?: Item;
+  }
+
+  interface Exchange {
+    coins_per_gem: number;
+    quantity: number;
+  }
+
+  interface PvPGame extends ApiObject {
+    id: string;
+    map_id: number;
+    started: string;
+    ended: string;
+    result: string;
+    team: string;
+    profession: string;
+    scores: { red: number; blue: number };
+  }
+
+  interface PvPSeason extends ApiObject {
+    id: string;
+    name: string;
+    start: string;
+    end: string;
+    active: boolean;
+  }
+
+  interface WvWTeamValues {
+    red: number;
+    blue: number;
+    green: number;
+  }
+
+  interface Match {
+    id: string;
+    start_time: string;
+    end_time: string;
+    scores: WvWTeamValues;
+    worlds: WvWTeamValues;
+    all_worlds: { red: number[]; blue: number[]; green: number[] };
+    deaths: WvWTeamValues;
+    kills: WvWTeamValues;
+    maps: Array<{ id: number; type: string; scores: WvWTeamValues; objectives: ApiObject[]; [field: string]: any }>;
+  }
+
+  interface Objective {
+    id: string;
+    name: string;
+    type: string;
+    sector_id: number;
+    map_id: number;
+    map_type: string;
+    coord?: number[];
+    label_coord?: number[];
+    marker?: string;
+    chat_link: string;
+  }
+
+  interface Continent {
+    id: number;
+    name: string;
+    continent_dims: number[];
+    min_zoom: number;
+    max_zoom: number;
+    floors: number[];
+  }
+
+  interface Floor {
+    id: number;
+    texture_dims: number[];
+    clamped_view?: number[][];
+    regions: { [id: string]: Region };
+  }
+
+  interface Region {
+    id: number;
+    name: string;
+    label_coord: number[];
+    continent_rect: number[][];
+    maps: { [id: string]: MapDetails };
+  }
+
+  interface MapDetails {
+    id: number;
+    name: string;
+    min_level: number;
+    max_level: number;
+    default_floor: number;
+    label_coord?: number[];
+    map_rect: number[][];
+    continent_rect: number[][];
+    points_of_interest?: { [id: string]: PointOfInterest };
+    tasks?: { [id: string]: Task };
+    sectors?: { [id: string]: Sector };
+    [field: string]: any;
+  }
+
+  interface Sector {
+    id: number;
+    name?: string;
+    level: number;
+    coord: number[];
+    bounds: number[][];
+    chat_link: string;
+  }
+
+  interface PointOfInterest {
+    id: number;
+    name?: string;
+    type: string;
+    floor: number;
+    coord: number[];
+    chat_link: string;
+  }
+
+  interface Task {
+    id: number;
+    objective: string;
+    level: number;
+    coord: number[];
+    bounds: number[][];
+    chat_link: string;
+  }
+
+  interface GuildLogEntry extends ApiObject {
+    id: number;
+    time: string;
+    type: string;
+    user?: string;
+  }
+
+  interface GuildMember {
+    name: string;
+    rank: string;
+    joined: string | null;
+  }
+
+  interface GuildRank {
+    id: string;
+    order: number;
+    permissions: string[];
+    icon: string;
+  }
+
+  interface GuildStashSection {
+    upgrade_id: number;
+    size: number;
+    coins: number;
+    note: string;
+    inventory: Array<{ id: number; count: number } | null>;
+  }
+
+  interface GuildTreasuryEntry {
+    item_id: number;
+    count: number;
+    needed_by: Array<{ upgrade_id: number; count: number }>;
+  }
+
+  interface DailyAchievements { [category: string]: ApiObject[] }
+  interface Achievement extends ApiObject { id: number; name: string }
+  interface AchievementGroup extends ApiObject { id: string; name: string; categories: number[] }
+  interface AchievementCategory extends ApiObject { id: number; name: string; achievements: number[] }
+  interface Emblem extends ApiObject { id: number; layers: string[] }
+  interface GuildPermission extends ApiObject { id: string; name: string }
+  interface GuildUpgrade extends ApiObject { id: number; name: string; type: string }
+  interface Color extends ApiObject { id: number; name: string }
+  interface Currency extends ApiObject { id: number; name: string; order: number }
+  interface File extends ApiObject { id: string; icon: string }
+  interface Quaggan extends ApiObject { id: string; url: string }
+  interface Mini extends ApiObject { id: number; name: string; item_id: number }
+  interface World extends ApiObject { id: number; name: string; population: string }
+
+  /**********
+   * EVENTS *
+   **********/
+
+  interface RequestEvent {
+    path: string;
+    params: { [name: string]: any };
+    apiKey?: string;
+  }
+
+  interface RetryEvent extends RequestEvent {
+    attempt: number;
+    delay: number;
+    statusCode?: number;
+    error?: Error;
+  }
+
+  interface ResponseEvent extends RequestEvent {
+    statusCode: number;
+    duration: number;
+    attempts: number;
+  }
+
+  interface RequestErrorEvent extends RequestEvent {
+    statusCode?: number;
+    duration: number;
+    attempts: number;
+    error: GW2APIError;
+  }
+
+  interface CacheEvent extends RequestEvent {
+    count: number;
+  }
+
+  /*********
+   * STATS *
+   *********/
+
+  interface EndpointStats {
+    requests: number;
+    errors: number;
+    retries: number;
+    cacheHits: number;
+    cacheMisses: number;
+    cacheHitRate?: number;
+    latency: {
+      min?: number;
+      max?: number;
+      mean?: number;
+      histogram: Array<{ le: number; count: number }>;
+    };
+  }
+
+  interface Stats extends EndpointStats {
+    endpoints: { [path: string]: EndpointStats };
+  }
+
+  interface KeyCapabilities {
+    permissions: string[];
+    methods: { [method: string]: boolean };
+    missing: { [method: string]: string[] };
+  }
+
+  interface CoinValue {
+    /** Every item sold right away to the highest buy order */
+    instantSell: number;
+    /** Every item listed at the lowest sell offer */
+    listing: number;
+  }
+
+  type ValueSource = 'wallet' | 'bank' | 'materials' | 'inventory' | 'characters' | 'buyOrders' | 'sellOrders';
+
+  interface AccountValue {
+    total: CoinValue;
+    sources: { [source in ValueSource]?: CoinValue };
+    items: Array<CoinValue & { id: number; name?: string; count: number }>;
+    excluded: Array<{ id: number; name?: string; count: number; reason: 'AccountBound' | 'SoulbindOnAcquire' | 'Bound' | 'NotTraded' }>;
+    skipped: Array<'wallet' | 'bank' | 'materials' | 'inventory' | 'characters' | 'buys' | 'sells'>;
+  }
+
+  interface AccountValueOptions {
+    /** Number of most valuable items reported, defaults to 10 */
+    top?: number;
+    signal?: AbortSignal;
+    timeout?: number;
+  }
+
+  interface CraftingNode {
+    id: number;
+    name?: string;
+    quantity: number;
+    action: 'buy' | 'craft' | 'acquire';
+    /** Cost of the chosen action, without the unpriced items */
+    cost: number;
+    /** Ids of the items to acquire below this node, which have no price */
+    unpriced: number[];
+    /** Lowest sell offer, unset for untradeable items */
+    unitPrice?: number;
+    buyCost?: number;
+    craftCost?: number;
+    /** Cheapest recipe */
+    recipe?: number;
+    crafts?: number;
+    ingredients?: CraftingNode[];
+  }
+
+  interface CraftingPlan {
+    id: number;
+    quantity: number;
+    /** Incomplete when unpriced isn't empty */
+    cost: number;
+    unpriced: number[];
+    tree: CraftingNode;
+    shoppingList: {
+      buy: Array<{ id: number; name?: string; quantity: number; unitPrice: number; cost: number }>;
+      acquire: Array<{ id: number; name?: string; quantity: number }>;
+    };
+  }
+
+  interface CraftingPlanOptions {
+    /** Defaults to 1 */
+    quantity?: number;
+    signal?: AbortSignal;
+    timeout?: number;
+  }
+
+  interface Flip {
+    id: number;
+    name?: string;
+    type?: string;
+    rarity?: string;
+    /** Highest buy order */
+    buyPrice: number;
+    /** Lowest sell offer */
+    sellPrice: number;
+    /** Per unit, after the listing and exchange fees */
+    profit: number;
+    /** Profit as a fraction of the buy price */
+    roi: number;
+    demand: number;
+    supply: number;
+    /** Units that can be flipped at a profit according to the listings */
+    depth?: { units: number; profit: number };
+  }
+
+  interface FlipOptions {
+    ids?: number[];
+    minDemand?: number;
+    minSupply?: number;
+    minPrice?: number;
+    maxPrice?: number;
+    /** Defaults to 1 */
+    minProfit?: number;
+    minRoi?: number;
+    types?: string[];
+    rarities?: string[];
+    /** Defaults to 'profit' */
+    sortBy?: 'profit' | 'roi';
+    /** Defaults to 20 */
+    limit?: number;
+    /** Defaults to true */
+    depth?: boolean;
+    signal?: AbortSignal;
+    timeout?: number;
+  }
+
+  interface StaticStoreStatus {
+    endpoint: string;
+    lang: Lang;
+    build: number;
+    currentBuild: number;
+    count: number;
+    updated: string;
+    stale: boolean;
+  }
+
+  /**********
+   * ERRORS *
+   **********/
+
+  class GW2APIError extends Error {
+    statusCode?: number;
+    path?: string;
+    params?: { [name: string]: any };
+    text?: string;
+    body?: string;
+  }
+  class InvalidKeyError extends GW2APIError {}
+  class MissingPermissionError extends GW2APIError {
+    permission?: string;
+    missingPermissions?: string[];
+  }
+  class NotFoundError extends GW2APIError {}
+  class RateLimitError extends GW2APIError {}
+  class UpstreamUnavailableError extends GW2APIError {}
+  class NetworkError extends GW2APIError {
+    cause?: Error;
+  }
+  class TimeoutError extends NetworkError {}
+  class AbortError extends GW2APIError {}
+  class JSONParseError extends GW2APIError {}
+  class ValidationError extends GW2APIError {
+    errors: Array<{ path: string; message: string }>;
+  }
+  class FixtureNotFoundError extends GW2APIError {}
+
+  /*************
+   * ITERATORS *
+   *************/
+
+  class PageIterator<T> implements AsyncIterableIterator<T> {
+    next(): Promise<IteratorResult<T>>;
+    return(): Promise<IteratorResult<T>>;
+    [Symbol.asyncIterator](): PageIterator<T>;
+    toArray(): Promise<T[]>;
+  }
+
+  /************
+   * SESSIONS *
+   ************/
+
+  class GW2APISession {
+    constructor(gw2api: GW2API, apiKey: string);
+    gw2api: GW2API;
+    apiKey: string;
+    getCapabilities(options?: { signal?: AbortSignal; timeout?: number }): Promise<KeyCapabilities>;
+    invalidateCache(filter?: { path?: string }): Promise<number | undefined>;
+    iterate<T = any>(path: string, options?: IterateOptions): PageIterator<T>;
+    all<T = any>(path: string, options?: IterateOptions): Promise<T[]>;
+    getAccountValue(options?: AccountValueOptions): Promise<AccountValue>;
+
+    getAccount<O extends GW2API.RequestOptions = {}>(options?: O): Promise<GW2API.Result<GW2API.Account, O>>;
+    getAccountAchievements<O extends GW2API.RequestOptions = {}>(options?: O): Promise<GW2API.Result<GW2API.AccountAchievement[], O>>;
+    getAccountBank<O extends GW2API.RequestOptions = {}>(options?: O): Promise<GW2API.Result<Array<GW2API.InventorySlot | null>, O>>;
+    getAccountDyes<O extends GW2API.RequestOptions = {}>(options?: O): Promise<GW2API.Result<Array<number | GW2API.Color>, O>>;
+    getAccountInventory<O extends GW2API.RequestOptions = {}>(options?: O): Promise<GW2API.Result<Array<GW2API.InventorySlot | null>, O>>;
+    getAccountMaterials<O extends GW2API.RequestOptions = {}>(options?: O): Promise<GW2API.Result<GW2API.MaterialSlot[], O>>;
+    getAccountMinis<O extends GW2API.RequestOptions = {}>(options?: O): Promise<GW2API.Result<number[], O>>;
+    getAccountSkins<O extends GW2API.RequestOptions = {}>(options?: O): Promise<GW2API.Result<Array<number | GW2API.Skin>, O>>;
+    getAccountWallet<O extends GW2API.RequestOptions = {}>(options?: O): Promise<GW2API.Result<GW2API.WalletEntry[], O>>;
+    listCharacters<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<string[], O>>;
+    getCharacters<I extends GW2API.Ids<string> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.Character, string, I>, O>>;
+    iterateCharacters(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Character>;
+    listCurrentBuyTransactions<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<GW2API.Transaction[], O>>;
+    getCurrentBuyTransactions<O extends GW2API.RequestOptions = {}>(options?: O): Promise<GW2API.Result<GW2API.Transaction[], O>>;
+    iterateCurrentBuyTransactions(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Transaction>;
+    listCurrentSellTransactions<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<GW2API.Transaction[], O>>;
+    getCurrentSellTransactions<O extends GW2API.RequestOptions = {}>(options?: O): Promise<GW2API.Result<GW2API.Transaction[], O>>;
+    iterateCurrentSellTransactions(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Transaction>;
+    listHistoricalBuyTransactions<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<GW2API.Transaction[], O>>;
+    getHistoricalBuyTransactions<O extends GW2API.RequestOptions = {}>(options?: O): Promise<GW2API.Result<GW2API.Transaction[], O>>;
+    iterateHistoricalBuyTransactions(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Transaction>;
+    listHistoricalSellTransactions<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<GW2API.Transaction[], O>>;
+    getHistoricalSellTransactions<O extends GW2API.RequestOptions = {}>(options?: O): Promise<GW2API.Result<GW2API.Transaction[], O>>;
+    iterateHistoricalSellTransactions(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Transaction>;
+    getPvPStats<O extends GW2API.RequestOptions = {}>(options?: O): Promise<GW2API.Result<GW2API.ApiObject, O>>;
+    listPvPGames<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<string[], O>>;
+    getPvPGames<I extends GW2API.Ids<string> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.PvPGame, string, I>, O>>;
+    iteratePvPGames(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.PvPGame>;
+    getPvPStandings<O extends GW2API.RequestOptions = {}>(options?: O): Promise<GW2API.Result<GW2API.ApiObject[], O>>;
+    getTokenInfo<O extends GW2API.RequestOptions = {}>(options?: O): Promise<GW2API.Result<GW2API.TokenInfo, O>>;
+    getGuildLog<O extends GW2API.RequestOptions = {}>(guildId: string, options?: O): Promise<GW2API.Result<GW2API.GuildLogEntry[], O>>;
+    getGuildMembers<O extends GW2API.RequestOptions = {}>(guildId: string, options?: O): Promise<GW2API.Result<GW2API.GuildMember[], O>>;
+    getGuildRanks<O extends GW2API.RequestOptions = {}>(guildId: string, options?: O): Promise<GW2API.Result<GW2API.GuildRank[], O>>;
+    getGuildStash<O extends GW2API.RequestOptions = {}>(guildId: string, options?: O): Promise<GW2API.Result<GW2API.GuildStashSection[], O>>;
+    getGuildTreasury<O extends GW2API.RequestOptions = {}>(guildId: string, options?: O): Promise<GW2API.Result<GW2API.GuildTreasuryEntry[], O>>;
+    getGuildTeams<O extends GW2API.RequestOptions = {}>(guildId: string, options?: O): Promise<GW2API.Result<GW2API.ApiObject[], O>>;
+    getGuildUpgrades<O extends GW2API.RequestOptions = {}>(guildId: string, options?: O): Promise<GW2API.Result<number[], O>>;
+  }
+
+  /***************
+   * MOCK SERVER *
+   ***************/
+
+  interface MockServerOptions {
+    data?: { [path: string]: any };
+    keys?: { [apiKey: string]: TokenInfo };
+    rateLimit?: RateLimiterOptions;
+    basePath?: string;
+  }
+
+  class MockServer {
+    constructor(options?: MockServerOptions);
+    requests: Array<{ path: string; qs: { [name: string]: string }; apiKey?: string }>;
+    listen(port?: number, host?: string): Promise<string>;
+    baseURL(): string;
+    close(): Promise<void>;
+    failNext(statusCode: number, count?: number): void;
+  }
+
+  /*****************
+   * PRICE HISTORY *
+   *****************/
+
+  interface PricePoint {
+    time: number;
+    buy: number;
+    sell: number;
+    demand: number;
+    supply: number;
+  }
+
+  interface PriceWindowOptions {
+    /** Defaults to 'sell' */
+    field?: 'buy' | 'sell';
+    /** Seconds before until, defaults to 7 days */
+    window?: number;
+    /** End of the window in ms, defaults to now */
+    until?: number;
+  }
+
+  interface MovingAverageOptions extends PriceWindowOptions {
+    /** Seconds averaged at each point, defaults to 1 day */
+    period?: number;
+  }
+
+  interface PriceStats {
+    id: number;
+    field: 'buy' | 'sell';
+    count: number;
+    from: number;
+    to: number;
+    latest: number;
+    average: number;
+    min: number;
+    max: number;
+    /** Standard deviation of the % changes between points */
+    volatility: number;
+    /** % change over the window */
+    change: number;
+    /** Standard deviations between the latest price and the average */
+    deviation: number;
+  }
+
+  interface PriceTracker {
+    stop(): void;
+  }
+
+  interface TrackPricesOptions {
+    /** Seconds between snapshots, defaults to 300 */
+    interval?: number;
+    onSnapshot?: (result: { time: number; count: number }) => void;
+    onError?: (error: Error) => void;
+    timeout?: number;
+  }
+
+  class PriceHistory {
+    constructor(options: PriceHistoryOptions);
+    record(prices: Price[], time?: number): Promise<void>;
+    series(id: number, options?: { since?: number; until?: number }): Promise<PricePoint[]>;
+    stats(id: number, options?: PriceWindowOptions): Promise<PriceStats | undefined>;
+    movingAverage(id: number, options?: MovingAverageOptions): Promise<Array<{ time: number; value: number }>>;
+  }
+
+  const errors: {
+    GW2APIError: typeof GW2APIError;
+    InvalidKeyError: typeof InvalidKeyError;
+    MissingPermissionError: typeof MissingPermissionError;
+    NotFoundError: typeof NotFoundError;
+    RateLimitError: typeof RateLimitError;
+    UpstreamUnavailableError: typeof UpstreamUnavailableError;
+    NetworkError: typeof NetworkError;
+    TimeoutError: typeof TimeoutError;
+    AbortError: typeof AbortError;
+    JSONParseError: typeof JSONParseError;
+    ValidationError: typeof ValidationError;
+    FixtureNotFoundError: typeof FixtureNotFoundError;
+    fromResponse(response: object, path: string, params: object): GW2APIError;
+  };
+}
+
+declare class GW2API extends EventEmitter {
+  constructor(config?: GW2API.Config);
+
+  config: GW2API.Config;
+
+  on(event: 'request', listener: (event: GW2API.RequestEvent & { attempt: number }) => void): this;
+  on(event: 'response', listener: (event: GW2API.ResponseEvent) => void): this;
+  on(event: 'retry', listener: (event: GW2API.RetryEvent) => void): this;
+  on(event: 'requestError', listener: (event: GW2API.RequestErrorEvent) => void): this;
+  on(event: 'cacheHit' | 'cacheMiss', listener: (event: GW2API.CacheEvent) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+
+  getLocalized(path: string, ids: GW2API.Ids<number | string>, options?: GW2API.LocalizedOptions): Promise<any>;
+  warmUpStaticStore(endpoints?: string[], options?: { lang?: GW2API.Lang; signal?: AbortSignal; timeout?: number }): Promise<Array<{ endpoint: string; count: number }>>;
+  getStaticStoreStatus(langs?: GW2API.Lang[], options?: { signal?: AbortSignal; timeout?: number }): Promise<GW2API.StaticStoreStatus[]>;
+  iterate<T = any>(path: string, options?: GW2API.IterateOptions): GW2API.PageIterator<T>;
+  all<T = any>(path: string, options?: GW2API.IterateOptions): Promise<T[]>;
+  invalidateCache(filter?: { path?: string; apiKey?: string }): Promise<number | undefined>;
+  getStats(): GW2API.Stats;
+  resetStats(): void;
+  getKeyCapabilities(apiKey: string, options?: { signal?: AbortSignal; timeout?: number }): Promise<GW2API.KeyCapabilities>;
+  withKey(apiKey: string): GW2API.GW2APISession;
+  getAccountValue(apiKey: string, options?: GW2API.AccountValueOptions): Promise<GW2API.AccountValue>;
+  getCraftingPlan(itemId: number, options?: GW2API.CraftingPlanOptions): Promise<GW2API.CraftingPlan>;
+  findFlips(options?: GW2API.FlipOptions): Promise<GW2API.Flip[]>;
+  snapshotPrices(ids?: number[], options?: { signal?: AbortSignal; timeout?: number }): Promise<{ time: number; count: number }>;
+  trackPrices(ids?: number[], options?: GW2API.TrackPricesOptions): GW2API.PriceTracker;
+  getPriceHistory(id: number, options?: { since?: number; until?: number }): Promise<GW2API.PricePoint[]>;
+  getPriceStats(id: number, options?: GW2API.PriceWindowOptions): Promise<GW2API.PriceStats | undefined>;
+  getMovingAverage(id: number, options?: GW2API.MovingAverageOptions): Promise<Array<{ time: number; value: number }>>;
+
+  searchRecipes<O extends GW2API.RequestOptions = {}>(query: { input?: number; output?: number }, options?: O): Promise<GW2API.Result<number[], O>>;
+  getCoinExchange<O extends GW2API.RequestOptions = {}>(quantity: number, options?: O): Promise<GW2API.Result<GW2API.Exchange, O>>;
+  getGemExchange<O extends GW2API.RequestOptions = {}>(quantity: number, options?: O): Promise<GW2API.Result<GW2API.Exchange, O>>;
+  getMatchByWorld<O extends GW2API.RequestOptions = {}>(worldId: number, options?: O): Promise<GW2API.Result<GW2API.Match, O>>;
+
+  // Achievements
+  listAchievements<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getAchievements<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.Achievement, number, I>, O>>;
+  iterateAchievements(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Achievement>;
+  getDailyAchievements<O extends GW2API.RequestOptions = {}>(options?: O): Promise<GW2API.Result<GW2API.DailyAchievements, O>>;
+  listAchievementGroups<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<string[], O>>;
+  getAchievementGroups<I extends GW2API.Ids<string> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.AchievementGroup, string, I>, O>>;
+  iterateAchievementGroups(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.AchievementGroup>;
+  listAchievementCategories<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getAchievementCategories<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.AchievementCategory, number, I>, O>>;
+  iterateAchievementCategories(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.AchievementCategory>;
+
+  // Authenticated
+  getAccount<O extends GW2API.RequestOptions = {}>(apiKey: string, options?: O): Promise<GW2API.Result<GW2API.Account, O>>;
+  getAccountAchievements<O extends GW2API.RequestOptions = {}>(apiKey: string, options?: O): Promise<GW2API.Result<GW2API.AccountAchievement[], O>>;
+  getAccountBank<O extends GW2API.RequestOptions = {}>(apiKey: string, options?: O): Promise<GW2API.Result<Array<GW2API.InventorySlot | null>, O>>;
+  getAccountDyes<O extends GW2API.RequestOptions = {}>(apiKey: string, options?: O): Promise<GW2API.Result<Array<number | GW2API.Color>, O>>;
+  getAccountInventory<O extends GW2API.RequestOptions = {}>(apiKey: string, options?: O): Promise<GW2API.Result<Array<GW2API.InventorySlot | null>, O>>;
+  getAccountMaterials<O extends GW2API.RequestOptions = {}>(apiKey: string, options?: O): Promise<GW2API.Result<GW2API.MaterialSlot[], O>>;
+  getAccountMinis<O extends GW2API.RequestOptions = {}>(apiKey: string, options?: O): Promise<GW2API.Result<number[], O>>;
+  getAccountSkins<O extends GW2API.RequestOptions = {}>(apiKey: string, options?: O): Promise<GW2API.Result<Array<number | GW2API.Skin>, O>>;
+  getAccountWallet<O extends GW2API.RequestOptions = {}>(apiKey: string, options?: O): Promise<GW2API.Result<GW2API.WalletEntry[], O>>;
+  listCharacters<O extends GW2API.RequestOptions = {}>(apiKey: string, page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<string[], O>>;
+  getCharacters<I extends GW2API.Ids<string> | undefined = undefined, O extends GW2API.RequestOptions = {}>(apiKey: string, ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.Character, string, I>, O>>;
+  iterateCharacters(apiKey: string, options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Character>;
+  listCurrentBuyTransactions<O extends GW2API.RequestOptions = {}>(apiKey: string, page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<GW2API.Transaction[], O>>;
+  getCurrentBuyTransactions<O extends GW2API.RequestOptions = {}>(apiKey: string, options?: O): Promise<GW2API.Result<GW2API.Transaction[], O>>;
+  iterateCurrentBuyTransactions(apiKey: string, options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Transaction>;
+  listCurrentSellTransactions<O extends GW2API.RequestOptions = {}>(apiKey: string, page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<GW2API.Transaction[], O>>;
+  getCurrentSellTransactions<O extends GW2API.RequestOptions = {}>(apiKey: string, options?: O): Promise<GW2API.Result<GW2API.Transaction[], O>>;
+  iterateCurrentSellTransactions(apiKey: string, options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Transaction>;
+  listHistoricalBuyTransactions<O extends GW2API.RequestOptions = {}>(apiKey: string, page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<GW2API.Transaction[], O>>;
+  getHistoricalBuyTransactions<O extends GW2API.RequestOptions = {}>(apiKey: string, options?: O): Promise<GW2API.Result<GW2API.Transaction[], O>>;
+  iterateHistoricalBuyTransactions(apiKey: string, options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Transaction>;
+  listHistoricalSellTransactions<O extends GW2API.RequestOptions = {}>(apiKey: string, page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<GW2API.Transaction[], O>>;
+  getHistoricalSellTransactions<O extends GW2API.RequestOptions = {}>(apiKey: string, options?: O): Promise<GW2API.Result<GW2API.Transaction[], O>>;
+  iterateHistoricalSellTransactions(apiKey: string, options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Transaction>;
+  getPvPStats<O extends GW2API.RequestOptions = {}>(apiKey: string, options?: O): Promise<GW2API.Result<GW2API.ApiObject, O>>;
+  listPvPGames<O extends GW2API.RequestOptions = {}>(apiKey: string, page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<string[], O>>;
+  getPvPGames<I extends GW2API.Ids<string> | undefined = undefined, O extends GW2API.RequestOptions = {}>(apiKey: string, ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.PvPGame, string, I>, O>>;
+  iteratePvPGames(apiKey: string, options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.PvPGame>;
+  getPvPStandings<O extends GW2API.RequestOptions = {}>(apiKey: string, options?: O): Promise<GW2API.Result<GW2API.ApiObject[], O>>;
+  getTokenInfo<O extends GW2API.RequestOptions = {}>(apiKey: string, options?: O): Promise<GW2API.Result<GW2API.TokenInfo, O>>;
+
+  // Game mechanics
+  listSpecializations<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getSpecializations<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.ApiObject, number, I>, O>>;
+  iterateSpecializations(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.ApiObject>;
+  listSkills<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getSkills<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.ApiObject, number, I>, O>>;
+  iterateSkills(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.ApiObject>;
+  listTraits<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getTraits<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.ApiObject, number, I>, O>>;
+  iterateTraits(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.ApiObject>;
+
+  // Guild
+  listEmblemForegrounds<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getEmblemForegrounds<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.Emblem, number, I>, O>>;
+  iterateEmblemForegrounds(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Emblem>;
+  listEmblemBackgrounds<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getEmblemBackgrounds<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.Emblem, number, I>, O>>;
+  iterateEmblemBackgrounds(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Emblem>;
+  listGuildPermissions<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<string[], O>>;
+  getGuildPermissions<I extends GW2API.Ids<string> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.GuildPermission, string, I>, O>>;
+  iterateGuildPermissions(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.GuildPermission>;
+  listGuildUpgradeDefinitions<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getGuildUpgradeDefinitions<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.GuildUpgrade, number, I>, O>>;
+  iterateGuildUpgradeDefinitions(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.GuildUpgrade>;
+
+  // Guild authenticated
+  getGuildLog<O extends GW2API.RequestOptions = {}>(apiKey: string, guildId: string, options?: O): Promise<GW2API.Result<GW2API.GuildLogEntry[], O>>;
+  getGuildMembers<O extends GW2API.RequestOptions = {}>(apiKey: string, guildId: string, options?: O): Promise<GW2API.Result<GW2API.GuildMember[], O>>;
+  getGuildRanks<O extends GW2API.RequestOptions = {}>(apiKey: string, guildId: string, options?: O): Promise<GW2API.Result<GW2API.GuildRank[], O>>;
+  getGuildStash<O extends GW2API.RequestOptions = {}>(apiKey: string, guildId: string, options?: O): Promise<GW2API.Result<GW2API.GuildStashSection[], O>>;
+  getGuildTreasury<O extends GW2API.RequestOptions = {}>(apiKey: string, guildId: string, options?: O): Promise<GW2API.Result<GW2API.GuildTreasuryEntry[], O>>;
+  getGuildTeams<O extends GW2API.RequestOptions = {}>(apiKey: string, guildId: string, options?: O): Promise<GW2API.Result<GW2API.ApiObject[], O>>;
+  getGuildUpgrades<O extends GW2API.RequestOptions = {}>(apiKey: string, guildId: string, options?: O): Promise<GW2API.Result<number[], O>>;
+
+  // Items
+  listItems<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getItems<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.Item, number, I>, O>>;
+  iterateItems(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Item>;
+  listMaterials<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getMaterials<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.MaterialCategory, number, I>, O>>;
+  iterateMaterials(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.MaterialCategory>;
+  listRecipes<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getRecipes<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.Recipe, number, I>, O>>;
+  iterateRecipes(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Recipe>;
+  listSkins<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getSkins<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.Skin, number, I>, O>>;
+  iterateSkins(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Skin>;
+
+  // Map information
+  listContinents<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getContinents<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.Continent, number, I>, O>>;
+  iterateContinents(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Continent>;
+  listFloors<O extends GW2API.RequestOptions = {}>(continentId: number, page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getFloors<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(continentId: number, ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.Floor, number, I>, O>>;
+  iterateFloors(continentId: number, options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Floor>;
+  listRegions<O extends GW2API.RequestOptions = {}>(continentId: number, floorId: number, page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getRegions<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(continentId: number, floorId: number, ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.Region, number, I>, O>>;
+  iterateRegions(continentId: number, floorId: number, options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Region>;
+  listMapsFromRegion<O extends GW2API.RequestOptions = {}>(continentId: number, floorId: number, regionId: number, page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getMapsFromRegion<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(continentId: number, floorId: number, regionId: number, ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.MapDetails, number, I>, O>>;
+  iterateMapsFromRegion(continentId: number, floorId: number, regionId: number, options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.MapDetails>;
+  listSectors<O extends GW2API.RequestOptions = {}>(continentId: number, floorId: number, regionId: number, mapId: number, page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getSectors<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(continentId: number, floorId: number, regionId: number, mapId: number, ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.Sector, number, I>, O>>;
+  iterateSectors(continentId: number, floorId: number, regionId: number, mapId: number, options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Sector>;
+  listPOIs<O extends GW2API.RequestOptions = {}>(continentId: number, floorId: number, regionId: number, mapId: number, page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getPOIs<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(continentId: number, floorId: number, regionId: number, mapId: number, ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.PointOfInterest, number, I>, O>>;
+  iteratePOIs(continentId: number, floorId: number, regionId: number, mapId: number, options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.PointOfInterest>;
+  listTasks<O extends GW2API.RequestOptions = {}>(continentId: number, floorId: number, regionId: number, mapId: number, page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getTasks<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(continentId: number, floorId: number, regionId: number, mapId: number, ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.Task, number, I>, O>>;
+  iterateTasks(continentId: number, floorId: number, regionId: number, mapId: number, options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Task>;
+
+  // PvP seasons
+  listSeasons<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<string[], O>>;
+  getSeasons<I extends GW2API.Ids<string> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.PvPSeason, string, I>, O>>;
+  iterateSeasons(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.PvPSeason>;
+
+  // Trading post
+  listBuySellListings<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getBuySellListings<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.Listings, number, I>, O>>;
+  iterateBuySellListings(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Listings>;
+  listPrices<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getPrices<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.Price, number, I>, O>>;
+  iteratePrices(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Price>;
+
+  // WvW
+  listMatches<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<string[], O>>;
+  getMatches<I extends GW2API.Ids<string> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.Match, string, I>, O>>;
+  iterateMatches(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Match>;
+  listObjectives<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<string[], O>>;
+  getObjectives<I extends GW2API.Ids<string> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.Objective, string, I>, O>>;
+  iterateObjectives(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Objective>;
+
+  // Miscellaneous
+  getCurrentBuild<O extends GW2API.RequestOptions = {}>(options?: O): Promise<GW2API.Result<GW2API.Build, O>>;
+  listColors<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getColors<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.Color, number, I>, O>>;
+  iterateColors(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Color>;
+  listCurrencies<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getCurrencies<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.Currency, number, I>, O>>;
+  iterateCurrencies(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Currency>;
+  listFiles<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<string[], O>>;
+  getFiles<I extends GW2API.Ids<string> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.File, string, I>, O>>;
+  iterateFiles(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.File>;
+  listQuaggans<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<string[], O>>;
+  getQuaggans<I extends GW2API.Ids<string> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.Quaggan, string, I>, O>>;
+  iterateQuaggans(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Quaggan>;
+  listMinis<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getMinis<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.Mini, number, I>, O>>;
+  iterateMinis(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.Mini>;
+  listWorlds<O extends GW2API.RequestOptions = {}>(page?: number, pageSize?: number, options?: O): Promise<GW2API.Result<number[], O>>;
+  getWorlds<I extends GW2API.Ids<number> | undefined = undefined, O extends GW2API.RequestOptions = {}>(ids?: I, options?: O): Promise<GW2API.Result<GW2API.Details<GW2API.World, number, I>, O>>;
+  iterateWorlds(options?: GW2API.IterateOptions): GW2API.PageIterator<GW2API.World>;
+}
+
+export = GW2API;
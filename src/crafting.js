@@ -0,0 +1,158 @@
+'use strict'
+const wealth = require('./wealth');
+
+/**
+ * Instant buy price of an item, from the lowest sell offer
+ * @param {Object} [item] Item details
+ * @param {Object} [price] Trading post prices of the item
+ * @return {Number|undefined} undefined when the item can't be bought on the trading post
+ */
+function buyPrice(item, price) {
+  if (item && wealth.UNTRADEABLE_FLAGS.some(flag => item.flags.indexOf(flag) !== -1))
+    return;
+
+  if (price && price.sells.unit_price > 0)
+    return price.sells.unit_price;
+}
+
+/**
+ * Ids of the items of a list of nodes having no price, without duplicates
+ * @param {Array} nodes
+ * @return {Array}
+ */
+function unpricedIds(nodes) {
+  return nodes
+    .reduce((ids, node) => ids.concat(node.unpriced), [])
+    .filter((id, i, ids) => ids.indexOf(id) === i);
+}
+
+/**
+ * Tells if a recipe is a better pick than the current one: recipes with every ingredient priced
+ * come first, then the cheapest
+ * @param {Object} candidate { craftCost, unpriced }
+ * @param {Object} [current] { craftCost, unpriced }
+ * @return {Boolean}
+ */
+function isBetterRecipe(candidate, current) {
+  if (!current)
+    return true;
+
+  if ((candidate.unpriced.length === 0) !== (current.unpriced.length === 0))
+    return candidate.unpriced.length === 0;
+
+  return candidate.craftCost < current.craftCost;
+}
+
+/**
+ * Builds the crafting tree of an item and picks the cheapest way to get each node:
+ * - 'buy' it on the trading post at its lowest sell offer
+ * - 'craft' it with its cheapest recipe
+ * - 'acquire' it some other way, for items neither tradeable nor craftable
+ * Items to acquire have no price: they count as 0 in the costs and are listed in the `unpriced` ids of every node
+ * above them. A recipe needing them is never compared with the buy price, the item is bought when it can be.
+ * Recipes needing one of their own ancestors are skipped
+ * @param {Number} itemId
+ * @param {Number} quantity
+ * @param {Object} data { recipesByOutput, recipes, items, prices }: recipe ids by output item id,
+ * recipes, item details and trading post prices by id
+ * @return {Object} Tree node { id, name, quantity, action, cost, unpriced, unitPrice, buyCost, craftCost, recipe, crafts, ingredients },
+ * ingredients are the nodes of the cheapest recipe, also set on bought nodes for comparison
+ */
+function buildTree(itemId, quantity, data) {
+  function node(id, quantity, ancestors) {
+    var item = data.items[id];
+    var unitPrice = buyPrice(item, data.prices[id]);
+    var result = {
+      id: id,
+      name: item && item.name,
+      quantity: quantity,
+      unitPrice: unitPrice,
+      buyCost: unitPrice !== undefined ? unitPrice * quantity : undefined,
+      craftCost: undefined
+    };
+
+    var best;
+
+    ancestors = ancestors.concat(id);
+
+    (data.recipesByOutput[id] || []).forEach((recipeId) => {
+      var recipe = data.recipes[recipeId];
+
+      if (!recipe || recipe.ingredients.some(ingredient => ancestors.indexOf(ingredient.item_id) !== -1))
+        return;
+
+      var crafts = Math.ceil(quantity / recipe.output_item_count);
+      var ingredients = recipe.ingredients.map(ingredient => node(ingredient.item_id, ingredient.count * crafts, ancestors));
+      var candidate = {
+        craftCost: ingredients.reduce((sum, ingredient) => sum + ingredient.cost, 0),
+        unpriced: unpricedIds(ingredients)
+      };
+
+      if (isBetterRecipe(candidate, best)) {
+        best = candidate;
+        result.craftCost = candidate.craftCost;
+        result.recipe = recipe.id;
+        result.crafts = crafts;
+        result.ingredients = ingredients;
+      }
+    });
+
+    if (result.buyCost !== undefined && (!best || best.unpriced.length > 0 || result.buyCost <= best.craftCost)) {
+      result.action = 'buy';
+      result.cost = result.buyCost;
+      result.unpriced = [];
+    }
+    else if (best) {
+      result.action = 'craft';
+      result.cost = best.craftCost;
+      result.unpriced = best.unpriced;
+    }
+    else {
+      result.action = 'acquire';
+      result.cost = 0;
+      result.unpriced = [id];
+    }
+
+    return result;
+  }
+
+  return node(itemId, quantity, []);
+}
+
+/**
+ * Flattens the chosen actions of a crafting tree
+ * @param {Object} tree See buildTree
+ * @return {Object} { buy, acquire } lists of { id, name, quantity } totalled by item, buy entries
+ * with their unitPrice and cost
+ */
+function shoppingList(tree) {
+  var buy = {};
+  var acquire = {};
+
+  function add(list, node) {
+    list[node.id] = list[node.id] || { id: node.id, name: node.name, quantity: 0 };
+    list[node.id].quantity += node.quantity;
+
+    if (node.action === 'buy') {
+      list[node.id].unitPrice = node.unitPrice;
+      list[node.id].cost = node.unitPrice * list[node.id].quantity;
+    }
+  }
+
+  (function walk(node) {
+    if (node.action === 'craft')
+      node.ingredients.forEach(walk);
+    else
+      add(node.action === 'buy' ? buy : acquire, node);
+  })(tree);
+
+  return {
+    buy: Object.keys(buy).map(id => buy[id]),
+    acquire: Object.keys(acquire).map(id => acquire[id])
+  };
+}
+
+module.exports = {
+  buildTree: buildTree,
+  shoppingList: shoppingList
+};
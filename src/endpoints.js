@@ -0,0 +1,231 @@
+'use strict'
+
+/**
+ * Every endpoint with generated methods, defined once:
+ * - `name`: suffix of the generated method names, e.g. 'Items' for listItems, getItems and iterateItems
+ * - `path`: API request path, `:name` segments are taken from method arguments, e.g. 'guild/:guildId/log'
+ * - `auth`: the endpoint needs an API key, passed as the first method argument
+ * - `permissions`: API key permissions the endpoint requires
+ * - `paged`: a collection supporting page and page_size, gets list* and iterate* methods
+ * - `ids`: a collection of objects requested by ids, gets a get* method taking ids.
+ *   Endpoints without ids get a get* method for their single response, the first page of paged ones
+ * - `bulk`: the collection answers ids=all in a single request
+ * - `localized`: the objects depend on the lang parameter
+ */
+const ENDPOINTS = [
+  // Achievements
+  { name: 'Achievements', path: 'achievements', paged: true, ids: true, localized: true },
+  { name: 'DailyAchievements', path: 'achievements/daily' },
+  { name: 'AchievementGroups', path: 'achievements/groups', paged: true, ids: true, bulk: true, localized: true },
+  { name: 'AchievementCategories', path: 'achievements/categories', paged: true, ids: true, bulk: true, localized: true },
+
+  // Authenticated
+  { name: 'Account', path: 'account', auth: true, permissions: ['account'] },
+  { name: 'AccountAchievements', path: 'account/achievements', auth: true, permissions: ['account', 'progression'] },
+  { name: 'AccountBank', path: 'account/bank', auth: true, permissions: ['account', 'inventories'] },
+  { name: 'AccountDyes', path: 'account/dyes', auth: true, permissions: ['account', 'unlocks'] },
+  { name: 'AccountInventory', path: 'account/inventory', auth: true, permissions: ['account', 'inventories'] },
+  { name: 'AccountMaterials', path: 'account/materials', auth: true, permissions: ['account', 'inventories'] },
+  { name: 'AccountMinis', path: 'account/minis', auth: true, permissions: ['account', 'unlocks'] },
+  { name: 'AccountSkins', path: 'account/skins', auth: true, permissions: ['account', 'unlocks'] },
+  { name: 'AccountWallet', path: 'account/wallet', auth: true, permissions: ['account', 'wallet'] },
+  { name: 'Characters', path: 'characters', auth: true, permissions: ['account', 'characters'], paged: true, ids: true },
+  { name: 'CurrentBuyTransactions', path: 'commerce/transactions/current/buys', auth: true, permissions: ['account', 'tradingpost'], paged: true },
+  { name: 'CurrentSellTransactions', path: 'commerce/transactions/current/sells', auth: true, permissions: ['account', 'tradingpost'], paged: true },
+  { name: 'HistoricalBuyTransactions', path: 'commerce/transactions/history/buys', auth: true, permissions: ['account', 'tradingpost'], paged: true },
+  { name: 'HistoricalSellTransactions', path: 'commerce/transactions/history/sells', auth: true, permissions: ['account', 'tradingpost'], paged: true },
+  { name: 'PvPStats', path: 'pvp/stats', auth: true, permissions: ['account', 'pvp'] },
+  { name: 'PvPGames', path: 'pvp/games', auth: true, permissions: ['account', 'pvp'], paged: true, ids: true },
+  { name: 'PvPStandings', path: 'pvp/standings', auth: true, permissions: ['account', 'pvp'] },
+  { name: 'TokenInfo', path: 'tokeninfo', auth: true },
+
+  // Game mechanics
+  { name: 'Specializations', path: 'specializations', paged: true, ids: true, bulk: true, localized: true },
+  { name: 'Skills', path: 'skills', paged: true, ids: true, localized: true },
+  { name: 'Traits', path: 'traits', paged: true, ids: true, localized: true },
+
+  // Guild
+  { name: 'EmblemForegrounds', path: 'emblem/foregrounds', paged: true, ids: true, bulk: true },
+  { name: 'EmblemBackgrounds', path: 'emblem/backgrounds', paged: true, ids: true, bulk: true },
+  { name: 'GuildPermissions', path: 'guild/permissions', paged: true, ids: true, bulk: true, localized: true },
+  { name: 'GuildUpgradeDefinitions', path: 'guild/upgrades', paged: true, ids: true, bulk: true, localized: true },
+
+  // Guild authenticated
+  { name: 'GuildLog', path: 'guild/:guildId/log', auth: true, permissions: ['account', 'guilds'] },
+  { name: 'GuildMembers', path: 'guild/:guildId/members', auth: true, permissions: ['account', 'guilds'] },
+  { name: 'GuildRanks', path: 'guild/:guildId/ranks', auth: true, permissions: ['account', 'guilds'] },
+  { name: 'GuildStash', path: 'guild/:guildId/stash', auth: true, permissions: ['account', 'guilds'] },
+  { name: 'GuildTreasury', path: 'guild/:guildId/treasury', auth: true, permissions: ['account', 'guilds'] },
+  { name: 'GuildTeams', path: 'guild/:guildId/teams', auth: true, permissions: ['account', 'guilds'] },
+  { name: 'GuildUpgrades', path: 'guild/:guildId/upgrades', auth: true, permissions: ['account', 'guilds'] },
+
+  // Items
+  { name: 'Items', path: 'items', paged: true, ids: true, localized: true },
+  { name: 'Materials', path: 'materials', paged: true, ids: true, bulk: true, localized: true },
+  { name: 'Recipes', path: 'recipes', paged: true, ids: true },
+  { name: 'Skins', path: 'skins', paged: true, ids: true, localized: true },
+
+  // Map information
+  { name: 'Continents', path: 'continents', paged: true, ids: true, localized: true },
+  { name: 'Floors', path: 'continents/:continentId/floors', paged: true, ids: true, localized: true },
+  { name: 'Regions', path: 'continents/:continentId/floors/:floorId/regions', paged: true, ids: true, localized: true },
+  { name: 'MapsFromRegion', path: 'continents/:continentId/floors/:floorId/regions/:regionId/maps', paged: true, ids: true, localized: true },
+  { name: 'Sectors', path: 'continents/:continentId/floors/:floorId/regions/:regionId/maps/:mapId/sectors', paged: true, ids: true, localized: true },
+  { name: 'POIs', path: 'continents/:continentId/floors/:floorId/regions/:regionId/maps/:mapId/pois', paged: true, ids: true, localized: true },
+  { name: 'Tasks', path: 'continents/:continentId/floors/:floorId/regions/:regionId/maps/:mapId/tasks', paged: true, ids: true, localized: true },
+
+  // PvP seasons
+  { name: 'Seasons', path: 'pvp/season', paged: true, ids: true, localized: true },
+
+  // Trading post
+  { name: 'BuySellListings', path: 'commerce/listings', paged: true, ids: true },
+  { name: 'Prices', path: 'commerce/prices', paged: true, ids: true },
+
+  // WvW
+  { name: 'Matches', path: 'wvw/matches', paged: true, ids: true },
+  { name: 'Objectives', path: 'wvw/objectives', paged: true, ids: true, bulk: true, localized: true },
+
+  // Miscellaneous
+  { name: 'CurrentBuild', path: 'build' },
+  { name: 'Colors', path: 'colors', paged: true, ids: true, bulk: true, localized: true },
+  { name: 'Currencies', path: 'currencies', paged: true, ids: true, bulk: true, localized: true },
+  { name: 'Files', path: 'files', paged: true, ids: true, bulk: true },
+  { name: 'Quaggans', path: 'quaggans', paged: true, ids: true, bulk: true },
+  { name: 'Minis', path: 'minis', paged: true, ids: true, bulk: true, localized: true },
+  { name: 'Worlds', path: 'worlds', paged: true, ids: true, bulk: true, localized: true }
+];
+
+/**
+ * Names of the `:name` segments of an endpoint path
+ * @param {Object} endpoint
+ * @return {Array}
+ */
+function pathParams(endpoint) {
+  return endpoint.path.split('/').filter(segment => segment[0] === ':').map(segment => segment.slice(1));
+}
+
+/**
+ * Endpoint path with its `:name` segments replaced by `*`, see pathpattern
+ * @param {Object} endpoint
+ * @return {String}
+ */
+function pathPattern(endpoint) {
+  return endpoint.path.replace(/:\w+/g, '*');
+}
+
+/**
+ * Endpoint path with its `:name` segments replaced by the given values, in order
+ * @param {Object} endpoint
+ * @param {Array} values
+ * @return {String}
+ */
+function buildPath(endpoint, values) {
+  var i = 0;
+
+  return endpoint.path.replace(/:\w+/g, () => values[i++]);
+}
+
+/**
+ * Names of the methods generated for an endpoint
+ * @param {Object} endpoint
+ * @return {Array}
+ */
+function methodNames(endpoint) {
+  var names = [];
+
+  if (endpoint.paged)
+    names.push(`list${endpoint.name}`);
+
+  names.push(`get${endpoint.name}`);
+
+  if (endpoint.paged)
+    names.push(`iterate${endpoint.name}`);
+
+  return names;
+}
+
+/**
+ * Finds the registry entry of an API request path
+ * @param {String} path e.g. 'items' or 'guild/ABC/log'
+ * @return {Object|undefined}
+ */
+function findEndpoint(path) {
+  return ENDPOINTS.filter((endpoint) => {
+    return new RegExp(`^${endpoint.path.replace(/:\w+/g, '[^/]+')}$`).test(path);
+  })[0];
+}
+
+/**
+ * Adds the list*, get* and iterate* methods of every endpoint to a prototype. Arguments are, in order:
+ * the API key for authenticated endpoints, one argument per `:name` path segment, then
+ * page and pageSize for list*, ids for get* of endpoints with ids, and the per-call options last
+ * @param {Object} prototype GW2API.prototype
+ */
+function defineMethods(prototype) {
+  ENDPOINTS.forEach((endpoint) => {
+    var paramCount = pathParams(endpoint).length;
+
+    // Splits method arguments into { apiKey, path, rest }
+    function parseArguments(args) {
+      args = Array.prototype.slice.call(args);
+
+      var apiKey = endpoint.auth ? args.shift() : null;
+      var path = buildPath(endpoint, args.splice(0, paramCount));
+
+      return { apiKey: apiKey, path: path, rest: args };
+    }
+
+    var methods = {};
+
+    if (endpoint.paged) {
+      methods[`list${endpoint.name}`] = function () {
+        var call = parseArguments(arguments);
+
+        return this._apiRequest(call.path, {
+          page: call.rest[0],
+          page_size: call.rest[1]
+        }, call.apiKey, call.rest[2]);
+      };
+
+      methods[`iterate${endpoint.name}`] = function () {
+        var call = parseArguments(arguments);
+        var options = Object.assign({}, call.rest[0]);
+
+        if (endpoint.auth)
+          options.apiKey = call.apiKey;
+
+        return this.iterate(call.path, options);
+      };
+    }
+
+    methods[`get${endpoint.name}`] = function () {
+      var call = parseArguments(arguments);
+
+      if (endpoint.ids)
+        return this._expand(endpoint.path, this._apiDetailsRequest(call.path, call.rest[0], {}, call.apiKey, call.rest[1]), call.rest[1]);
+
+      return this._expand(endpoint.path, this._apiRequest(call.path, {}, call.apiKey, call.rest[0]), call.rest[0]);
+    };
+
+    Object.keys(methods).forEach((name) => {
+      if (prototype[name])
+        throw new Error(`Method ${name} of endpoint ${endpoint.path} is already defined`);
+
+      Object.defineProperty(prototype, name, {
+        value: methods[name],
+        writable: true,
+        configurable: true
+      });
+    });
+  });
+}
+
+module.exports = {
+  ENDPOINTS: ENDPOINTS,
+  pathParams: pathParams,
+  pathPattern: pathPattern,
+  buildPath: buildPath,
+  methodNames: methodNames,
+  findEndpoint: findEndpoint,
+  defineMethods: defineMethods
+};
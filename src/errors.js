@@ -0,0 +1,183 @@
+'use strict'
+const util = require('util');
+
+// Plain constructors instead of classes: Babel's es2015 class transform
+// can't subclass Error, instanceof checks would fail on the compiled lib.
+
+/**
+ * Base error of every failed API request
+ * @class GW2APIError
+ * @constructor
+ * @param {String} message
+ * @param {Object} [details]
+ * @param {Number} [details.statusCode] HTTP status code of the response
+ * @param {String} [details.path] API request path
+ * @param {Object} [details.params] Request parameters
+ * @param {String} [details.text] Error message sent by the API
+ * @param {String} [details.body] Raw response body
+ */
+function GW2APIError(message, details) {
+  details = details || {};
+
+  Error.call(this);
+  Error.captureStackTrace(this, this.constructor);
+
+  this.name = this.constructor.name;
+  this.message = message;
+  this.statusCode = details.statusCode;
+  this.path = details.path;
+  this.params = details.params;
+  this.text = details.text;
+  this.body = details.body;
+}
+util.inherits(GW2APIError, Error);
+
+function defineError(name, parent) {
+  var ErrorClass = function (message, details) {
+    parent.call(this, message, details);
+  };
+
+  Object.defineProperty(ErrorClass, 'name', { value: name });
+  util.inherits(ErrorClass, parent);
+
+  return ErrorClass;
+}
+
+/**
+ * The API key is malformed, revoked or unknown to the API
+ * @class InvalidKeyError
+ */
+const InvalidKeyError = defineError('InvalidKeyError', GW2APIError);
+
+/**
+ * The API key lacks a permission required by the endpoint.
+ * The missing permission, when known, is set as `permission`
+ * @class MissingPermissionError
+ */
+const MissingPermissionError = defineError('MissingPermissionError', GW2APIError);
+
+/**
+ * The endpoint or the requested ids do not exist
+ * @class NotFoundError
+ */
+const NotFoundError = defineError('NotFoundError', GW2APIError);
+
+/**
+ * The API answered with a 429 after all retries
+ * @class RateLimitError
+ */
+const RateLimitError = defineError('RateLimitError', GW2APIError);
+
+/**
+ * The API answered with a 5xx status after all retries
+ * @class UpstreamUnavailableError
+ */
+const UpstreamUnavailableError = defineError('UpstreamUnavailableError', GW2APIError);
+
+/**
+ * The request could not reach the API. The original error is set as `cause`
+ * @class NetworkError
+ */
+const NetworkError = defineError('NetworkError', GW2APIError);
+
+/**
+ * The request got no response within the configured timeout
+ * @class TimeoutError
+ */
+const TimeoutError = defineError('TimeoutError', NetworkError);
+
+/**
+ * The request was cancelled through its abort signal
+ * @class AbortError
+ */
+const AbortError = defineError('AbortError', GW2APIError);
+
+/**
+ * The response body is not valid JSON
+ * @class JSONParseError
+ */
+const JSONParseError = defineError('JSONParseError', GW2APIError);
+
+/**
+ * The response does not match the schema of its endpoint.
+ * Every mismatch is listed in `errors` as { path, message }
+ * @class ValidationError
+ */
+const ValidationError = defineError('ValidationError', GW2APIError);
+
+/**
+ * Replay mode found no recorded fixture for a request
+ * @class FixtureNotFoundError
+ */
+const FixtureNotFoundError = defineError('FixtureNotFoundError', GW2APIError);
+
+/**
+ * Reads the `text` message of an API error body
+ * @param {String} body
+ * @return {String|undefined}
+ */
+function parseErrorText(body) {
+  try {
+    return JSON.parse(body).text;
+  }
+  catch (err) {
+    return undefined;
+  }
+}
+
+/**
+ * Builds the error matching a failed API response
+ * @param {Object} response The full HTTP response
+ * @param {String} path API request path
+ * @param {Object} params Request parameters
+ * @return {GW2APIError}
+ */
+function fromResponse(response, path, params) {
+  var text = parseErrorText(response.body);
+  var statusCode = response.statusCode;
+  var details = {
+    statusCode: statusCode,
+    path: path,
+    params: params,
+    text: text,
+    body: response.body
+  };
+  var message = `${path} failed with HTTP ${statusCode}` + (text ? `: ${text}` : '');
+  var scope = /requires scope (\w+)/i.exec(text || '');
+
+  if (scope) {
+    var error = new MissingPermissionError(message, details);
+    error.permission = scope[1];
+    return error;
+  }
+
+  if (/invalid (key|access token)/i.test(text || '') || statusCode === 401)
+    return new InvalidKeyError(message, details);
+
+  if (statusCode === 404)
+    return new NotFoundError(message, details);
+
+  if (statusCode === 429)
+    return new RateLimitError(message, details);
+
+  if (statusCode >= 500)
+    return new UpstreamUnavailableError(message, details);
+
+  return new GW2APIError(message, details);
+}
+
+module.exports = {
+  GW2APIError: GW2APIError,
+  InvalidKeyError: InvalidKeyError,
+  MissingPermissionError: MissingPermissionError,
+  NotFoundError: NotFoundError,
+  RateLimitError: RateLimitError,
+  UpstreamUnavailableError: UpstreamUnavailableError,
+  NetworkError: NetworkError,
+  TimeoutError: TimeoutError,
+  AbortError: AbortError,
+  JSONParseError: JSONParseError,
+  ValidationError: ValidationError,
+  FixtureNotFoundError: FixtureNotFoundError,
+  fromResponse: fromResponse
+};
@@ -0,0 +1,159 @@
+'use strict'
+
+// Endpoint resolving each type of reference
+const REFERENCE_ENDPOINTS = {
+  items: 'items',
+  skins: 'skins',
+  upgrades: 'items',
+  infusions: 'items',
+  dyes: 'colors',
+  currencies: 'currencies'
+};
+
+/**
+ * Visits the references of an item slot: bank, inventory, material storage and equipment slots.
+ * The item is added as `item`, skin, upgrades, infusions and dyes are replaced in place
+ */
+function visitSlot(slot, reference) {
+  if (!slot)
+    return;
+
+  reference('items', slot.id, item => slot.item = item);
+
+  if (slot.skin !== undefined)
+    reference('skins', slot.skin, skin => slot.skin = skin);
+
+  ['upgrades', 'infusions', 'dyes'].forEach((type) => {
+    (slot[type] || []).forEach((id, i) => {
+      if (id !== null)
+        reference(type, id, object => slot[type][i] = object);
+    });
+  });
+}
+
+function visitSlots(slots, reference) {
+  slots.forEach(slot => visitSlot(slot, reference));
+}
+
+function visitIds(type) {
+  return (ids, reference) => {
+    ids.forEach((id, i) => reference(type, id, object => ids[i] = object));
+  };
+}
+
+function visitItemIds(field) {
+  return (objects, reference) => {
+    [].concat(objects).forEach((object) => {
+      if (object !== null && typeof object === 'object')
+        reference('items', object[field], item => object.item = item);
+    });
+  };
+}
+
+function visitCharacters(characters, reference) {
+  [].concat(characters).forEach((character) => {
+    if (character === null || typeof character !== 'object')
+      return;
+
+    visitSlots(character.equipment || [], reference);
+
+    (character.bags || []).forEach((bag) => {
+      if (!bag)
+        return;
+
+      reference('items', bag.id, item => bag.item = item);
+      visitSlots(bag.inventory || [], reference);
+    });
+  });
+}
+
+// Reference visitors by endpoint registry path
+const VISITORS = {
+  'account/bank': visitSlots,
+  'account/inventory': visitSlots,
+  'account/materials': visitSlots,
+  'account/skins': visitIds('skins'),
+  'account/dyes': visitIds('dyes'),
+  'account/wallet': (entries, reference) => {
+    entries.forEach(entry => reference('currencies', entry.id, currency => entry.currency = currency));
+  },
+  'characters': visitCharacters,
+  'commerce/transactions/current/buys': visitItemIds('item_id'),
+  'commerce/transactions/current/sells': visitItemIds('item_id'),
+  'commerce/transactions/history/buys': visitItemIds('item_id'),
+  'commerce/transactions/history/sells': visitItemIds('item_id'),
+  'commerce/prices': visitItemIds('id'),
+  'commerce/listings': visitItemIds('id')
+};
+
+/**
+ * Tells if the responses of an endpoint have references to expand
+ * @param {String} endpointPath Endpoint registry path
+ * @return {Boolean}
+ */
+function handles(endpointPath) {
+  return VISITORS[endpointPath] !== undefined;
+}
+
+/**
+ * Reference types selected by the expand request option
+ * @param {Boolean|Array|Object} expand true for every type, a list of types or { type: Boolean }
+ * @return {Array}
+ */
+function referenceTypes(expand) {
+  var types = Object.keys(REFERENCE_ENDPOINTS);
+
+  if (expand === true)
+    return types;
+
+  var selected = expand instanceof Array ? expand : Object.keys(expand).filter(type => expand[type]);
+  var unknown = selected.filter(type => types.indexOf(type) === -1);
+
+  if (unknown.length > 0)
+    throw new Error(`Unknown expand reference type ${unknown.join(', ')}, expected ${types.join(', ')}`);
+
+  return selected;
+}
+
+/**
+ * Deep copies a response so it can be expanded without changing cached objects,
+ * keeping the non-enumerable failures and stale properties
+ * @param {*} data
+ * @return {*}
+ */
+function copy(data) {
+  var copied = JSON.parse(JSON.stringify(data));
+
+  ['failures', 'stale'].forEach((property) => {
+    if (data && data[property] !== undefined)
+      Object.defineProperty(copied, property, { value: data[property] });
+  });
+
+  return copied;
+}
+
+/**
+ * Lists the references of a response
+ * @param {String} endpointPath Endpoint registry path
+ * @param {*} data Response, modified by the returned setters
+ * @param {Array} types Reference types to collect
+ * @return {Array} { type, id, set } where set(object) replaces the reference with its object
+ */
+function collect(endpointPath, data, types) {
+  var references = [];
+
+  VISITORS[endpointPath](data, (type, id, set) => {
+    if (id !== undefined && types.indexOf(type) !== -1)
+      references.push({ type: type, id: id, set: set });
+  });
+
+  return references;
+}
+
+module.exports = {
+  REFERENCE_ENDPOINTS: REFERENCE_ENDPOINTS,
+  handles: handles,
+  referenceTypes: referenceTypes,
+  copy: copy,
+  collect: collect
+};
@@ -0,0 +1,121 @@
+'use strict'
+const crypto = require('crypto');
+const path = require('path');
+const URL = require('url');
+const errors = require('./errors');
+const fsutils = require('./fsutils');
+
+const SCRUBBED_KEY = 'SCRUBBED-API-KEY';
+
+function apiKeyOf(options) {
+  var authorization = options.headers && options.headers['Authorization'];
+
+  return authorization ? authorization.replace(/^Bearer /, '') : undefined;
+}
+
+function scrub(text, apiKey) {
+  if (!apiKey || typeof text !== 'string')
+    return text;
+
+  return text.split(apiKey).join(SCRUBBED_KEY);
+}
+
+class FixtureStore {
+
+  /**
+   * Records HTTP responses to fixture files and replays them, so requests can be tested offline.
+   * A fixture is matched on the request path, its query and whether it was authenticated,
+   * the API key itself is scrubbed from everything written to disk.
+   * @class FixtureStore
+   * @constructor
+   * @param {Object} options
+   * @param {String} options.mode 'record' or 'replay'
+   * @param {String} options.directory Directory of the fixture files
+   */
+  constructor(options) {
+    if (options.mode !== 'record' && options.mode !== 'replay')
+      throw new Error(`Unknown fixtures mode ${options.mode}, expected 'record' or 'replay'`);
+
+    this.mode = options.mode;
+    this.directory = options.directory;
+    this.writer = fsutils.queuedWriter(2);
+  }
+
+  /**
+   * Describes the request the way fixtures are matched
+   * @param {Object} options request-promise options
+   * @return {Object} { path, qs, authenticated }
+   */
+  _requestDescription(options) {
+    var qs = {};
+
+    Object.keys(options.qs || {}).sort().forEach((key) => {
+      if (options.qs[key] !== undefined)
+        qs[key] = String(options.qs[key]);
+    });
+
+    return {
+      path: URL.parse(options.url).pathname.replace(/^\/v2\//, ''),
+      qs: qs,
+      authenticated: apiKeyOf(options) !== undefined
+    };
+  }
+
+  _fileName(description) {
+    var hash = crypto.createHash('sha1').update(JSON.stringify(description)).digest('hex').slice(0, 12);
+
+    return path.join(this.directory, description.path.replace(/[^\w.-]/g, '_'), `${hash}.json`);
+  }
+
+  /**
+   * Writes a response to its fixture file. Writes of the same fixture are queued, so identical
+   * concurrent requests don't race on the file
+   * @param {Object} options request-promise options
+   * @param {Object} response The full HTTP response
+   * @return {Promise}
+   */
+  record(options, response) {
+    var apiKey = apiKeyOf(options);
+    var description = this._requestDescription(options);
+    var fileName = this._fileName(description);
+    var headers = {};
+
+    Object.keys(response.headers || {}).forEach((name) => {
+      headers[name] = scrub(response.headers[name], apiKey);
+    });
+
+    var fixture = {
+      request: description,
+      response: {
+        statusCode: response.statusCode,
+        headers: headers,
+        body: scrub(response.body, apiKey)
+      }
+    };
+
+    return this.writer.write(fileName, () => fixture);
+  }
+
+  /**
+   * Reads the recorded response of a request
+   * @param {Object} options request-promise options
+   * @return {Promise} Resolves with the response, rejects with a FixtureNotFoundError when nothing was recorded
+   */
+  replay(options) {
+    var description = this._requestDescription(options);
+    var fileName = this._fileName(description);
+
+    return fsutils.readJSON(fileName).then((fixture) => {
+      if (!fixture) {
+        throw new errors.FixtureNotFoundError(`No fixture recorded for ${description.path} ${JSON.stringify(description.qs)} (${fileName})`, {
+          path: description.path,
+          params: description.qs
+        });
+      }
+
+      return fixture.response;
+    });
+  }
+}
+
+module.exports = FixtureStore;
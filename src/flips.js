@@ -0,0 +1,144 @@
+'use strict'
+const wealth = require('./wealth');
+
+/**
+ * Margin of flipping an item once: buying it at the highest buy order and
+ * selling it at the lowest sell offer, after the listing and exchange fees
+ * @param {Object} price Trading post prices of the item
+ * @return {Object} { buyPrice, sellPrice, profit, roi }, roi as a fraction of the buy price
+ */
+function margin(price) {
+  var buyPrice = price.buys.unit_price;
+  var sellPrice = price.sells.unit_price;
+  var profit = wealth.afterFees(sellPrice) - buyPrice;
+
+  return {
+    buyPrice: buyPrice,
+    sellPrice: sellPrice,
+    profit: profit,
+    roi: buyPrice > 0 ? profit / buyPrice : 0
+  };
+}
+
+/**
+ * Flip of an item, without its item details
+ * @param {Object} price Trading post prices of the item
+ * @return {Object} { id, name, type, rarity, buyPrice, sellPrice, profit, roi, demand, supply }
+ */
+function toFlip(price) {
+  return Object.assign({
+    id: price.id,
+    name: undefined,
+    type: undefined,
+    rarity: undefined
+  }, margin(price), {
+    demand: price.buys.quantity,
+    supply: price.sells.quantity
+  });
+}
+
+/**
+ * Tells if the prices of an item pass the filters of findFlips not needing item details
+ * @param {Object} price Trading post prices of the item
+ * @param {Object} filters See GW2API#findFlips
+ * @return {Boolean}
+ */
+function matchesPrice(price, filters) {
+  if (price.buys.unit_price <= 0 || price.sells.unit_price <= 0)
+    return false;
+
+  var flip = margin(price);
+
+  return price.buys.quantity >= (filters.minDemand || 0) &&
+    price.sells.quantity >= (filters.minSupply || 0) &&
+    flip.buyPrice >= (filters.minPrice || 0) &&
+    (filters.maxPrice === undefined || flip.buyPrice <= filters.maxPrice) &&
+    flip.profit >= (filters.minProfit !== undefined ? filters.minProfit : 1) &&
+    flip.roi >= (filters.minRoi || 0);
+}
+
+/**
+ * Tells if an item passes the type and rarity filters of findFlips
+ * @param {Object} [item] Item details
+ * @param {Object} filters See GW2API#findFlips
+ * @return {Boolean}
+ */
+function matchesItem(item, filters) {
+  if (!filters.types && !filters.rarities)
+    return true;
+
+  return item !== undefined &&
+    (!filters.types || filters.types.indexOf(item.type) !== -1) &&
+    (!filters.rarities || filters.rarities.indexOf(item.rarity) !== -1);
+}
+
+/**
+ * Estimates how many units can be flipped before the margin disappears. The first units are bought at the highest
+ * buy order and sold at the lowest sell offer, as many as these levels hold. Each further unit costs more and
+ * brings less: once the highest buy order is used up units have to be bought from the sell offers, cheapest first,
+ * and once the lowest sell offer is used up they have to be sold to the buy orders, highest first.
+ * The walk stops at the first unit earning less than minProfit after fees
+ * @param {Object} listings Trading post listings of the item
+ * @param {Number} [minProfit] Defaults to 1
+ * @return {Object} { units, profit } with the total profit of these units
+ */
+function depth(listings, minProfit) {
+  minProfit = minProfit !== undefined ? minProfit : 1;
+
+  var copy = listing => ({ unit_price: listing.unit_price, quantity: listing.quantity });
+  var buys = listings.buys.map(copy).sort((a, b) => b.unit_price - a.unit_price);
+  var sells = listings.sells.map(copy).sort((a, b) => a.unit_price - b.unit_price);
+  var result = { units: 0, profit: 0 };
+
+  if (buys.length === 0 || sells.length === 0)
+    return result;
+
+  // Prices units are bought at, rising, and sold at, falling
+  var costs = [buys[0]].concat(sells.map(copy));
+  var revenues = [sells[0]].concat(buys.map(copy));
+  var i = 0;
+  var j = 0;
+
+  while (i < costs.length && j < revenues.length) {
+    var unitProfit = wealth.afterFees(revenues[j].unit_price) - costs[i].unit_price;
+
+    if (unitProfit < minProfit)
+      break;
+
+    var units = Math.min(costs[i].quantity, revenues[j].quantity);
+
+    result.units += units;
+    result.profit += units * unitProfit;
+
+    costs[i].quantity -= units;
+    revenues[j].quantity -= units;
+
+    if (costs[i].quantity === 0)
+      i++;
+    if (revenues[j].quantity === 0)
+      j++;
+  }
+
+  return result;
+}
+
+/**
+ * Ranks flips, most profitable first
+ * @param {Array} flips
+ * @param {String} [sortBy] 'profit' or 'roi'. Defaults to 'profit'
+ * @return {Array} The sorted flips
+ */
+function rank(flips, sortBy) {
+  sortBy = sortBy || 'profit';
+
+  return flips.sort((a, b) => b[sortBy] - a[sortBy] || a.id - b.id);
+}
+
+module.exports = {
+  margin: margin,
+  toFlip: toFlip,
+  matchesPrice: matchesPrice,
+  matchesItem: matchesItem,
+  depth: depth,
+  rank: rank
+};
@@ -0,0 +1,183 @@
+'use strict'
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Reads a JSON file
+ * @param {String} file
+ * @return {Promise} Resolves with the parsed content, undefined when the file doesn't exist or is corrupted
+ */
+function readJSON(file) {
+  return new Promise((resolve, reject) => {
+    fs.readFile(file, 'utf8', (err, content) => {
+      if (err && err.code === 'ENOENT')
+        return resolve(undefined);
+      if (err)
+        return reject(err);
+
+      try {
+        resolve(JSON.parse(content));
+      }
+      catch (parseErr) {
+        resolve(undefined);
+      }
+    });
+  });
+}
+
+/**
+ * Writes a JSON file through a temporary file, so readers never see it half written
+ * @param {String} file
+ * @param {*} object
+ * @param {Number} [indent] Indentation of the JSON
+ * @return {Promise}
+ */
+function writeJSON(file, object, indent) {
+  return new Promise((resolve, reject) => {
+    var tmpFile = `${file}.tmp`;
+
+    fs.writeFile(tmpFile, JSON.stringify(object, null, indent), (err) => {
+      if (err)
+        return reject(err);
+
+      fs.rename(tmpFile, file, (renameErr) => renameErr ? reject(renameErr) : resolve());
+    });
+  });
+}
+
+/**
+ * Reads a file of JSON values, one per line
+ * @param {String} file
+ * @return {Promise} Resolves with an Array of the parsed lines, empty when the file doesn't exist.
+ * Corrupted lines, such as one cut by a crash while it was appended, are skipped
+ */
+function readJSONLines(file) {
+  return new Promise((resolve, reject) => {
+    fs.readFile(file, 'utf8', (err, content) => {
+      if (err && err.code === 'ENOENT')
+        return resolve([]);
+      if (err)
+        return reject(err);
+
+      var values = [];
+
+      content.split('\n').forEach((line) => {
+        try {
+          if (line)
+            values.push(JSON.parse(line));
+        }
+        catch (parseErr) {
+          // Skipped
+        }
+      });
+
+      resolve(values);
+    });
+  });
+}
+
+/**
+ * Appends a JSON value as a line to a file, creating the file and its directory
+ * @param {String} file
+ * @param {*} object
+ * @return {Promise}
+ */
+function appendJSONLine(file, object) {
+  return mkdirp(path.dirname(file)).then(() => new Promise((resolve, reject) => {
+    fs.appendFile(file, `${JSON.stringify(object)}\n`, err => err ? reject(err) : resolve());
+  }));
+}
+
+/**
+ * Lists the files of a directory
+ * @param {String} directory
+ * @return {Promise} Resolves with an Array of file names, empty when the directory doesn't exist
+ */
+function listFiles(directory) {
+  return new Promise((resolve, reject) => {
+    fs.readdir(directory, (err, fileNames) => {
+      if (err && err.code === 'ENOENT')
+        return resolve([]);
+
+      err ? reject(err) : resolve(fileNames);
+    });
+  });
+}
+
+/**
+ * Deletes a file, if it exists
+ * @param {String} file
+ * @return {Promise}
+ */
+function removeFile(file) {
+  return new Promise((resolve, reject) => {
+    fs.unlink(file, err => err && err.code !== 'ENOENT' ? reject(err) : resolve());
+  });
+}
+
+/**
+ * Creates a directory and its parents
+ * @param {String} directory
+ * @return {Promise}
+ */
+function mkdirp(directory) {
+  return new Promise((resolve, reject) => {
+    fs.mkdir(directory, { recursive: true }, (err) => {
+      if (err && err.code !== 'EEXIST')
+        return reject(err);
+
+      resolve();
+    });
+  });
+}
+
+/**
+ * Creates a writer saving JSON files one write at a time per file, creating their directory.
+ * A write requested while another one of the same file is waiting is merged into it: the content
+ * is read when the write starts, so the waiting write saves the latest changes
+ * @param {Number} [indent] Indentation of the written JSON, see writeJSON
+ * @return {Object} { write, pending }: write(file, getContent) returns a Promise, getContent returns the content
+ * or a Promise for it. pending(file) resolves once the writes of the file requested so far are done, failed or not
+ */
+function queuedWriter(indent) {
+  var writes = {};
+  var queuedWrites = {};
+
+  function write(file, getContent) {
+    if (queuedWrites[file])
+      return queuedWrites[file];
+
+    var previous = writes[file] || Promise.resolve();
+    var pending = previous.then(() => {
+      delete queuedWrites[file];
+
+      return Promise.resolve(getContent())
+        .then(content => mkdirp(path.dirname(file)).then(() => writeJSON(file, content, indent)));
+    });
+
+    queuedWrites[file] = pending;
+    writes[file] = pending.catch(() => undefined);
+
+    return pending;
+  }
+
+  function pending(file) {
+    return writes[file] || Promise.resolve();
+  }
+
+  return {
+    write: write,
+    pending: pending
+  };
+}
+
+module.exports = {
+  readJSON: readJSON,
+  writeJSON: writeJSON,
+  readJSONLines: readJSONLines,
+  appendJSONLine: appendJSONLine,
+  listFiles: listFiles,
+  removeFile: removeFile,
+  mkdirp: mkdirp,
+  queuedWriter: queuedWriter
+};
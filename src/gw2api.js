@@ -1,77 +1,557 @@
 'use strict'
+const EventEmitter = require('events');
 const request = require("request-promise");
 const URL = require('url');
 const cacheManager = require('cache-manager');
+const RateLimiter = require('./ratelimiter');
+const errors = require('./errors');
+const PageIterator = require('./pageiterator');
+const StaticStore = require('./staticstore');
+const PriceHistory = require('./pricehistory');
+const localization = require('./localization');
+const matchPathPattern = require('./pathpattern');
+const permissions = require('./permissions');
+const endpoints = require('./endpoints');
+const schema = require('./schema');
+const schemas = require('./schemas');
+const expansion = require('./expansion');
+const wealth = require('./wealth');
+const crafting = require('./crafting');
+const flips = require('./flips');
+const GW2APISession = require('./session');
+const Metrics = require('./metrics');
+const FixtureStore = require('./fixtures');
+const MockServer = require('./mockserver');
+
+const DEFAULT_BASE_URL = 'https://api.guildwars2.com/v2';
+
+const RETRY_STATUS_CODES = [429, 502, 503, 504];
+
+// Codes of the errors request raises when config.timeout or a per-call timeout expires
+const TIMEOUT_ERROR_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+// Endpoints answering ids=all with the whole collection in a single request
+const BULK_ENDPOINTS = endpoints.ENDPOINTS.filter(endpoint => endpoint.bulk).map(endpoint => endpoint.path);
+
+// Cache TTLs in seconds for volatile endpoints, merged under config.cachePolicy.
+// The wallet and current trading post orders change with every purchase, they aren't cached
+const DEFAULT_CACHE_POLICY = {
+  'build': 300,
+  'commerce/*': 60,
+  'commerce/transactions/current/*': 0,
+  'account/wallet': 0,
+  'wvw/matches*': 30
+};
+
+/**
+ * Identity of a detail object: its id, or its name for endpoints like characters identified by name
+ * @param {Object} object
+ * @return {Number|String}
+ */
+function objectId(object) {
+  return object.id !== undefined ? object.id : object.name;
+}
+
+function compareIds(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Adds the meta of one of the responses a result is built from to the meta of the result:
+ * it keeps the highest status and the oldest date
+ * @param {Object} meta Meta of the result, updated
+ * @param {Object} [responseMeta] { httpStatus, date }
+ */
+function addResponseMeta(meta, responseMeta) {
+  if (!responseMeta)
+    return;
+
+  // Dates come back as strings from the cache stores serializing their entries
+  var date = responseMeta.date && new Date(responseMeta.date);
+
+  meta.httpStatus = Math.max(meta.httpStatus || 0, responseMeta.httpStatus || 0) || undefined;
+  if (date && (!meta.date || date < meta.date))
+    meta.date = date;
+}
 
-class GW2API {
+class GW2API extends EventEmitter {
 
   /**
+   * Emits 'request', 'response', 'retry', 'requestError', 'cacheHit' and 'cacheMiss' events,
+   * each with the endpoint path and the API key redacted, see README
    * @class GW2API
    * @constructor
    * @param {Object} [config]
+   * @param {String} [config.baseURL] Base URL of the API, e.g. the one of a MockServer. Defaults to https://api.guildwars2.com/v2
+   * @param {Number} [config.timeout] Timeout in ms of each HTTP request, see README. Defaults to 30000
+   * @param {Number} [config.maxIdsPerRequest] Max ids sent in a single details request. Defaults to 200
+   * @param {Number} [config.maxConcurrentRequests] Max parallel requests when fetching chunked ids. Defaults to 4
+   * @param {Object|Boolean} [config.rateLimit] Options for the RateLimiter shared by all requests, false to disable it
+   * @param {Number} [config.maxRetries] Max retries of a request failing with 429, 502, 503, 504 or a network error. Defaults to 3
+   * @param {Number} [config.retryDelay] Base delay in ms of the exponential backoff between retries. Defaults to 500
+   * @param {Function} [config.onRetry] Called before each retry with { path, params, attempt, delay, statusCode, error }
+   * @param {Boolean} [config.meta] Resolve every request with { data, meta } instead of data only
+   * @param {Object|String} [config.cacheStore] A cache-manager compatible store. Defaults to 'memory'
+   * @param {Object} [config.cacheOptions] Additional options for the cache store
+   * @param {Object} [config.cachePolicy] TTLs in seconds keyed by endpoint path pattern, e.g. { 'items': 86400, 'account/*': 0 }.
+   * A TTL of 0 disables the cache for the endpoint, unmatched endpoints use config.cacheTimeout. Defaults apply to
+   * build (300), commerce/* (60), wvw/matches* (30), account/wallet and commerce/transactions/current/* (0)
+   * @param {Number} [config.staleWhileRevalidate] Seconds past its TTL a cache entry is still served, marked stale,
+   * while it is refreshed in the background. Defaults to 0
+   * @param {Number} [config.staleIfError] Seconds past its TTL a cache entry is served, marked stale, when refreshing
+   * it fails with a network, timeout, 429 or 5xx error. Defaults to 0
+   * @param {Object} [config.staticStore] Options for a StaticStore keeping static endpoint objects on disk
+   * @param {Object} [config.priceHistory] Options for a PriceHistory keeping trading post price snapshots on disk
+   * @param {Boolean} [config.checkPermissions] Check the permissions of API keys with tokeninfo and reject calls
+   * the key can't make before requesting them. Defaults to true
+   * @param {Object} [config.fixtures] { mode, directory } to record responses to fixture files or replay them offline
+   * @param {String|Boolean} [config.validate] Check responses against the schema of their endpoint: 'throw' rejects
+   * mismatching responses with a ValidationError, 'warn' logs them. Disabled by default
+   * @param {Object} [config.schemas] Response schemas keyed by endpoint registry path, merged over the bundled ones
+   * @param {String} [config.schemaVersion] Schema version requested with the X-Schema-Version header, e.g. '2019-12-19T00:00:00.000Z'
+   * @param {Object} [config.logger] Receives the validation warnings with warn(). Defaults to console
    */
   constructor(config = {}) {
+    super();
+
     this.config = config;
+    this.config.baseURL = this.config.baseURL || DEFAULT_BASE_URL;
+    this.config.timeout = this.config.timeout !== undefined ? this.config.timeout : 30000;
     this.config.defaultLang = this.config.defaultLang || "en";
     this.config.cacheTimeout = this.config.cacheTimeout || 1800;
     this.config.maxCacheObjects = this.config.maxCacheObjects || 1000;
+    this.config.maxIdsPerRequest = this.config.maxIdsPerRequest || 200;
+    this.config.maxConcurrentRequests = this.config.maxConcurrentRequests || 4;
+    this.config.maxRetries = this.config.maxRetries !== undefined ? this.config.maxRetries : 3;
+    this.config.retryDelay = this.config.retryDelay || 500;
+
+    if (this.config.rateLimit !== false)
+      this.rateLimiter = new RateLimiter(this.config.rateLimit);
+
+    this.config.cachePolicy = Object.assign({}, DEFAULT_CACHE_POLICY, this.config.cachePolicy);
+    this.config.staleWhileRevalidate = this.config.staleWhileRevalidate || 0;
+    this.config.staleIfError = this.config.staleIfError || 0;
 
-    this.cache = cacheManager.caching({
-      store: 'memory',
+    this.cache = cacheManager.caching(Object.assign({
+      store: this.config.cacheStore || 'memory',
       max: this.config.maxCacheObjects,
       ttl: this.config.cacheTimeout
-    });
+    }, this.config.cacheOptions));
+
+    if (this.config.staticStore)
+      this.staticStore = new StaticStore(this.config.staticStore);
+
+    if (this.config.priceHistory)
+      this.priceHistory = new PriceHistory(this.config.priceHistory);
+
+    // Pending requests by cache key, shared by concurrent identical calls
+    this.inFlight = {};
+    this.inFlightDetails = {};
+
+    this.config.checkPermissions = this.config.checkPermissions !== false;
+    // tokeninfo permissions by API key
+    this.keyPermissions = {};
+
+    this.metrics = new Metrics(this);
+
+    if (this.config.fixtures)
+      this.fixtures = new FixtureStore(this.config.fixtures);
+
+    if (this.config.validate === true)
+      this.config.validate = 'throw';
+    this.schemas = Object.assign({}, schemas, this.config.schemas);
+    this.config.logger = this.config.logger || console;
   }
 
-  _jsonParse(jsonString) {
+  /**
+   * Shortens an API key so it can be logged
+   * @private
+   * @param {String} apiKey
+   * @returns {String}
+   */
+  _redactKey(apiKey) {
+    return apiKey ? `${apiKey.slice(0, 4)}…` : undefined;
+  }
+
+  /**
+   * Emits a lifecycle event
+   * @private
+   * @param {String} name Event name
+   * @param {String} path API request path
+   * @param {Object} params Request parameters
+   * @param {String} apiKey Redacted before being emitted
+   * @param {Object} [details] Additional event properties
+   */
+  _emitEvent(name, path, params, apiKey, details) {
+    this.emit(name, Object.assign({
+      path: path,
+      params: params,
+      apiKey: this._redactKey(apiKey)
+    }, details));
+  }
+
+  /**
+   * @private
+   * @param {String} jsonString
+   * @param {Object} [details] Request details added to the error, see GW2APIError
+   * @returns {*}
+   * @throws {JSONParseError}
+   */
+  _jsonParse(jsonString, details) {
     try {
       return JSON.parse(jsonString);
     }
     catch (err) {
-      throw new Error("Error parsing JSON response: " + jsonString);
+      throw new errors.JSONParseError("Error parsing JSON response: " + jsonString, Object.assign({ body: jsonString }, details));
+    }
+  }
+
+  /**
+   * Performs an HTTP request, aborted when the signal is
+   * @private
+   * @param {Object} options request-promise options
+   * @param {AbortSignal} [signal]
+   * @returns {Promise}
+   */
+  _httpRequest(options, signal) {
+    var pending = request(options);
+
+    if (signal) {
+      var abort = () => pending.abort();
+      var cleanUp = () => signal.removeEventListener('abort', abort);
+
+      signal.addEventListener('abort', abort);
+      pending.then(cleanUp, cleanUp);
     }
+
+    return pending;
+  }
+
+  /**
+   * Sends a single request through the rate limiter, or replays it from fixtures
+   * @private
+   * @param {Object} options request-promise options
+   * @param {AbortSignal} [signal]
+   * @returns {Promise}
+   */
+  _send(options, signal) {
+    if (this.fixtures && this.fixtures.mode === 'replay')
+      return this.fixtures.replay(options);
+
+    var limiter = this.rateLimiter ? this.rateLimiter.acquire() : Promise.resolve();
+
+    return limiter.then(() => {
+      // Aborted while waiting for the limiter or a retry, the caller has already been rejected
+      if (signal && signal.aborted)
+        throw new errors.AbortError(`${options.url} aborted`);
+
+      return this._httpRequest(options, signal);
+    }).then((response) => {
+      if (!this.fixtures)
+        return response;
+
+      // A fixture that can't be written must not fail the request it records
+      return this.fixtures.record(options, response).then(() => response, () => response);
+    });
+  }
+
+  /**
+   * @private
+   * @param {String} path API request path
+   * @param {Object} params Request parameters
+   * @returns {AbortError}
+   */
+  _abortError(path, params) {
+    return new errors.AbortError(`${path} aborted`, {
+      path: path,
+      params: params
+    });
+  }
+
+  /**
+   * Picks the options of a public method call passed down to _request
+   * @private
+   * @param {Object} [options] Per-call request options
+   * @returns {Object} { signal, timeout }
+   */
+  _requestOptions(options) {
+    options = options || {};
+
+    return {
+      signal: options.signal,
+      timeout: options.timeout
+    };
   }
 
-  _request(path, parameters, apiKey) {
+  /**
+   * Delay before the given retry attempt, exponential with jitter.
+   * A Retry-After header sent by the API takes precedence
+   * @private
+   * @param {Number} attempt The retry number, starting at 1
+   * @param {Object} [response]
+   * @returns {Number} Delay in ms
+   */
+  _retryDelay(attempt, response) {
+    var retryAfter = response && response.headers && Number(response.headers['retry-after']);
+
+    if (retryAfter > 0)
+      return retryAfter * 1000;
+
+    var backoff = this.config.retryDelay * Math.pow(2, attempt - 1);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  /**
+   * Requests an endpoint, retrying failed attempts
+   * @private
+   * @param {String} path API request path
+   * @param {Object} [parameters] Query parameters
+   * @param {String} [apiKey]
+   * @param {Object} [requestOptions]
+   * @param {AbortSignal} [requestOptions.signal] Cancels the request, which then rejects with an AbortError
+   * @param {Number} [requestOptions.timeout] Timeout in ms of each attempt. Defaults to config.timeout
+   * @returns {Promise} Resolves with { data, meta }
+   */
+  _request(path, parameters, apiKey, requestOptions) {
+    var $this = this;
     var options = {};
+    var signal = requestOptions && requestOptions.signal;
+    var timeout = requestOptions && requestOptions.timeout !== undefined ? requestOptions.timeout : this.config.timeout;
 
     options.url = this._buildURL(path);
     options.qs = parameters || {};
     options.simple = false;
     options.resolveWithFullResponse = true;
 
-    if (apiKey) {
-      options.headers = {
-        'Authorization': `Bearer ${apiKey}`
+    if (timeout)
+      options.timeout = timeout;
+
+    options.headers = {};
+
+    if (apiKey)
+      options.headers['Authorization'] = `Bearer ${apiKey}`;
+
+    if (this.config.schemaVersion)
+      options.headers['X-Schema-Version'] = this.config.schemaVersion;
+
+    var attempt = 0;
+    var start = Date.now();
+
+    function retry(response, error) {
+      attempt++;
+
+      var delay = $this._retryDelay(attempt, response);
+
+      if (response && response.statusCode === 429 && $this.rateLimiter)
+        $this.rateLimiter.empty();
+
+      var retryDetails = {
+        attempt: attempt,
+        delay: delay,
+        statusCode: response ? response.statusCode : undefined,
+        error: error
       };
+
+      if ($this.config.onRetry)
+        $this.config.onRetry(Object.assign({ path: path, params: options.qs }, retryDetails));
+
+      $this._emitEvent('retry', path, options.qs, apiKey, retryDetails);
+
+      return new Promise(resolve => setTimeout(resolve, delay)).then(send);
+    }
+
+    function send() {
+      $this._emitEvent('request', path, options.qs, apiKey, { attempt: attempt });
+
+      return $this._send(options, signal).then(response => {
+        if (RETRY_STATUS_CODES.indexOf(response.statusCode) !== -1 && attempt < $this.config.maxRetries)
+          return retry(response);
+
+        return response;
+      }, (error) => {
+        if (error.name === 'RequestError' && attempt < $this.config.maxRetries)
+          return retry(undefined, error);
+
+        throw error;
+      });
     }
 
-    return request(options).then(response => {
+    var abortListener;
+    var aborted = new Promise((resolve, reject) => {
+      abortListener = () => reject($this._abortError(path, options.qs));
+
+      if (signal && signal.aborted)
+        abortListener();
+      else if (signal)
+        signal.addEventListener('abort', abortListener);
+    });
+
+    var removeAbortListener = () => {
+      if (signal)
+        signal.removeEventListener('abort', abortListener);
+    };
+
+    var sent = Promise.race([send(), aborted]);
+    sent.then(removeAbortListener, removeAbortListener);
+
+    return sent.then(response => {
       if (response.statusCode !== 200 && response.statusCode !== 206) {
-        throw new Error(`{ httpStatusCode : ${response.statusCode}, responseBody : ${response.body} }`);
+        throw errors.fromResponse(response, path, options.qs);
       }
 
+      const headerNumber = (name) => {
+        var value = response.headers[name];
+        return value !== undefined ? Number(value) : undefined;
+      };
+
       const data = {
         meta: {
-          pageSize: response.headers["X-Page-Size"],
-          pageTotal: response.headers["X-Page-Total"],
-          resultCount: response.headers["X-Result-Count"],
-          resultTotal: response.headers["X-Result-Total"],
-          httpStatus: response.statusCode
+          pageSize: headerNumber("x-page-size"),
+          pageTotal: headerNumber("x-page-total"),
+          resultCount: headerNumber("x-result-count"),
+          resultTotal: headerNumber("x-result-total"),
+          httpStatus: response.statusCode,
+          date: response.headers["date"] ? new Date(response.headers["date"]) : undefined,
+          origin: 'network'
         },
-        data: this._jsonParse(response.body)
+        data: this._jsonParse(response.body, {
+          statusCode: response.statusCode,
+          path: path,
+          params: options.qs
+        })
       };
 
+      this._validateResponse(path, data.data, options.qs);
+
+      this._emitEvent('response', path, options.qs, apiKey, {
+        statusCode: response.statusCode,
+        duration: Date.now() - start,
+        attempts: attempt + 1
+      });
+
       return data;
+    }, (error) => {
+      if (error.name === 'RequestError') {
+        var cause = error.cause || error;
+        var timedOut = TIMEOUT_ERROR_CODES.indexOf(cause.code) !== -1;
+        var networkError = new errors[timedOut ? 'TimeoutError' : 'NetworkError'](`${path} failed: ${error.message}`, {
+          path: path,
+          params: options.qs
+        });
+        networkError.cause = cause;
+        error = networkError;
+      }
+
+      throw error;
+    }).catch((error) => {
+      this._emitEvent('requestError', path, options.qs, apiKey, {
+        statusCode: error.statusCode,
+        duration: Date.now() - start,
+        attempts: attempt + 1,
+        error: error
+      });
+
+      throw error;
+    });
+  }
+
+  /**
+   * Checks a response against the schema of its endpoint, see config.validate.
+   * Collection schemas are checked against each object of the response, lists of ids are not checked
+   * @private
+   * @param {String} path API request path
+   * @param {*} data Parsed response
+   * @param {Object} params Request parameters
+   */
+  _validateResponse(path, data, params) {
+    if (!this.config.validate)
+      return;
+
+    var endpoint = endpoints.findEndpoint(path);
+    var endpointSchema = this.schemas[endpoint ? endpoint.path : path];
+
+    if (!endpointSchema)
+      return;
+
+    var problems = [];
+
+    if (endpoint && (endpoint.paged || endpoint.ids)) {
+      [].concat(data).forEach((object, i) => {
+        if (object !== null && typeof object === 'object')
+          problems = problems.concat(schema.validate(endpointSchema, object, data instanceof Array ? `data[${i}]` : 'data'));
+      });
+    }
+    else {
+      problems = schema.validate(endpointSchema, data);
+    }
+
+    if (problems.length === 0)
+      return;
+
+    var message = `${path} response does not match its schema: ${problems[0].path} ${problems[0].message}` +
+      (problems.length > 1 ? ` (and ${problems.length - 1} more)` : '');
+
+    if (this.config.validate === 'warn')
+      return this.config.logger.warn(message);
+
+    var error = new errors.ValidationError(message, {
+      path: path,
+      params: params
     });
+    error.errors = problems;
+    throw error;
   }
 
   _buildURL(path) {
+    var base = URL.parse(this.config.baseURL);
 
     return URL.format({
-      protocol: 'https',
-      host: 'api.guildwars2.com/v2',
-      pathname: `/${path}`
+      protocol: base.protocol,
+      host: base.host,
+      pathname: `${base.pathname.replace(/\/$/, '')}/${path}`
+    });
+  }
+
+  /**
+   * Cache TTL of an endpoint, from the longest config.cachePolicy pattern matching it
+   * @private
+   * @param {String} path API request path
+   * @returns {Number} TTL in seconds, 0 when the endpoint must not be cached
+   */
+  _cacheTTL(path) {
+    var policy = this.config.cachePolicy;
+    var matched;
+
+    Object.keys(policy).forEach((pattern) => {
+      if (matchPathPattern(pattern, path) && (matched === undefined || pattern.length > matched.length))
+        matched = pattern;
+    });
+
+    if (matched === undefined)
+      return this.config.cacheTimeout;
+
+    return Number(policy[matched]) || 0;
+  }
+
+  /**
+   * Calls a callback style cache method
+   * @private
+   * @param {String} command Cache method name, e.g. 'keys' or 'del'
+   * @returns {Promise}
+   */
+  _cacheCommand(command) {
+    var args = Array.prototype.slice.call(arguments, 1);
+
+    return new Promise((resolve, reject) => {
+      if (typeof this.cache[command] !== 'function')
+        return reject(new Error(`The cache store does not support ${command}`));
+
+      this.cache[command].apply(this.cache, args.concat([(err, result) => {
+        if (err)
+          return reject(err);
+
+        resolve(result);
+      }]));
     });
   }
 
@@ -95,22 +575,145 @@ class GW2API {
     return Promise.all(cachePromises);
   }
 
-  _setCacheObject(key, object) {
-    this.cache.set(`${key}`, object);
+  /**
+   * Caches an object as { value, expires, meta }, kept in the store past its TTL while it may be served stale
+   * @private
+   * @param {String} key
+   * @param {*} object
+   * @param {Number} ttl TTL in seconds, 0 to skip caching
+   * @param {Object} [meta] Meta of the response the object comes from, its httpStatus and date are kept
+   */
+  _setCacheObject(key, object, ttl, meta) {
+    if (ttl === 0)
+      return;
+
+    var staleTTL = Math.max(this.config.staleWhileRevalidate, this.config.staleIfError);
+    var entry = { value: object, expires: Date.now() + ttl * 1000 };
+
+    if (meta)
+      entry.meta = { httpStatus: meta.httpStatus, date: meta.date };
+
+    this.cache.set(`${key}`, entry, { ttl: ttl + staleTTL });
+  }
+
+  /**
+   * Tells how a cache entry can be used
+   * @private
+   * @param {Object} [entry] { value, expires }
+   * @returns {String|undefined} 'fresh', 'revalidate' when it can be served stale while being refreshed,
+   * 'fallback' when it can only be served if the refresh fails, undefined when unusable
+   */
+  _cacheState(entry) {
+    if (!entry)
+      return undefined;
+
+    var expiredFor = (Date.now() - entry.expires) / 1000;
+
+    if (expiredFor < 0)
+      return 'fresh';
+
+    if (expiredFor < this.config.staleWhileRevalidate)
+      return 'revalidate';
+
+    if (expiredFor < this.config.staleIfError)
+      return 'fallback';
+
+    return undefined;
+  }
+
+  /**
+   * Tells if a failed request can fall back to stale cache entries, see config.staleIfError
+   * @private
+   * @param {Error} error
+   * @returns {Boolean}
+   */
+  _isOutageError(error) {
+    return error instanceof errors.NetworkError ||
+      error instanceof errors.RateLimitError ||
+      error instanceof errors.UpstreamUnavailableError;
+  }
+
+  /**
+   * Copies an object or array served from stale cache entries with a non-enumerable `stale` property set to true
+   * @private
+   * @param {*} data
+   * @returns {*}
+   */
+  _markStale(data) {
+    if (data === null || typeof data !== 'object')
+      return data;
+
+    var copy = data instanceof Array ? data.slice() : Object.assign({}, data);
+    Object.defineProperty(copy, 'stale', { value: true });
+
+    return copy;
   }
 
-  _setCacheObjects(baseKey, objects) {
+  _setCacheObjects(baseKey, objects, ttl, meta) {
     if (!(objects instanceof Array))
-      return this._setCacheObject(`${baseKey}#${objects.id}`, objects);
+      return this._setCacheObject(`${baseKey}#${objectId(objects)}`, objects, ttl, meta);
 
     objects.sort((a, b) => {
-      return a.id - b.id;
+      return compareIds(objectId(a), objectId(b));
     });
     for (var i = 0; i < objects.length; i++) {
-      this._setCacheObject(`${baseKey}#${objects[i].id}`, objects[i]);
+      this._setCacheObject(`${baseKey}#${objectId(objects[i])}`, objects[i], ttl, meta);
     }
   }
 
+  /**
+   * Completes a cache lookup with the objects kept in the static store
+   * @private
+   * @param {String} path API request path
+   * @param {String} lang
+   * @param {Array} ids
+   * @param {String} apiKey
+   * @param {Array} cachedResult The cache lookup result for ids
+   * @param {Object} [requestOptions] { signal, timeout } of the build request
+   * @returns {Promise} Resolves like _findInCache
+   */
+  _findInStaticStore(path, lang, ids, apiKey, cachedResult, requestOptions) {
+    var store = this.staticStore;
+
+    if (!store || apiKey || !store.handles(path))
+      return Promise.resolve(cachedResult);
+
+    var missingIds = ids.filter((id, i) => cachedResult[i] === undefined);
+
+    if (missingIds.length === 0)
+      return Promise.resolve(cachedResult);
+
+    return store.checkBuild(() => this._request('build', {}, undefined, requestOptions).then(result => result.data))
+      .then(() => store.get(path, lang, missingIds))
+      .then((storedObjects) => {
+        var merged = ids.map((id, i) => cachedResult[i]);
+
+        for (var i = 0, j = 0; i < ids.length; i++) {
+          if (merged[i] === undefined)
+            merged[i] = storedObjects[j++];
+        }
+
+        return merged;
+      }, () => cachedResult);
+  }
+
+  /**
+   * Keeps fetched objects in the static store
+   * @private
+   * @param {String} path API request path
+   * @param {String} lang
+   * @param {Object|Array} objects
+   * @param {String} apiKey
+   */
+  _setStaticStoreObjects(path, lang, objects, apiKey) {
+    var store = this.staticStore;
+
+    if (!store || apiKey || !store.handles(path) || store.build === undefined)
+      return;
+
+    store.set(path, lang, objects).catch(() => undefined);
+  }
+
   _idListToParams(ids) {
     var params = {};
 
@@ -126,1247 +729,1232 @@ class GW2API {
   }
 
   /**
-   * Generic api request to get objects
+   * Permissions of an API key, requested once with tokeninfo
    * @private
-   * @param {String} path API request path
-   * @param {Object} params Any additional parameters for the request
-   * @param {String} apiKey The API Key for the request. Optional.
-   * @returns {Promise}
+   * @param {String} apiKey
+   * @param {Object} [requestOptions] { signal, timeout } of the tokeninfo request
+   * @returns {Promise} Resolves with an Array of permission names
    */
-  _apiRequest(path, params, apiKey) {
-    var $this = this;
+  _keyPermissions(apiKey, requestOptions = {}) {
+    if (this.keyPermissions[apiKey])
+      return this.keyPermissions[apiKey];
 
-    if (!(params instanceof Object)) {
-      apiKey = params;
-      params = {};
-    }
+    var fetch = this._request('tokeninfo', {}, apiKey, requestOptions).then((result) => {
+      return result.data.permissions || [];
+    });
 
-    if (!params.lang) {
-      params.lang = this.config.defaultLang;
+    // Calls with their own signal or timeout don't share their request, only its result
+    if (requestOptions.signal || requestOptions.timeout !== undefined) {
+      return fetch.then((keyPermissions) => {
+        this.keyPermissions[apiKey] = this.keyPermissions[apiKey] || Promise.resolve(keyPermissions);
+
+        return keyPermissions;
+      });
     }
 
-    var cacheKey;
+    this.keyPermissions[apiKey] = fetch.catch((error) => {
+      delete this.keyPermissions[apiKey];
+      throw error;
+    });
 
-    if (apiKey)
-      cacheKey = `${path}#apiKey:${apiKey}#params:${JSON.stringify(params)}`;
-    else
-      cacheKey = `${path}#params:${JSON.stringify(params)}`;
+    return this.keyPermissions[apiKey];
+  }
+
+  /**
+   * Rejects with a MissingPermissionError when the API key can't request the endpoint
+   * @private
+   * @param {String} path API request path
+   * @param {String} apiKey
+   * @param {Object} [requestOptions] { signal, timeout } of the tokeninfo request
+   * @returns {Promise}
+   */
+  _checkPermissions(path, apiKey, requestOptions) {
+    if (!apiKey || !this.config.checkPermissions || permissions.requiredPermissions(path).length === 0)
+      return Promise.resolve();
 
-    return this._findInCache(cacheKey).then((cacheResult) => {
-      if (cacheResult)
-        return cacheResult;
+    return this._keyPermissions(apiKey, requestOptions).then((keyPermissions) => {
+      var missing = permissions.missingPermissions(path, keyPermissions);
 
-      return $this._request(path, params, apiKey).then((requestResult) => {
-        $this._setCacheObject(cacheKey, requestResult.data);
+      if (missing.length === 0)
+        return;
 
-        return requestResult.data;
-      }, (requestFailure) => {
-        return requestFailure;
+      var error = new errors.MissingPermissionError(`missing permission: ${missing.join(', ')}`, {
+        path: path,
+        text: `requires scope ${missing[0]}`
       });
+      error.permission = missing[0];
+      error.missingPermissions = missing;
+      throw error;
     });
   }
 
   /**
-   * Generic api request to get detail objects
+   * Cache key of a request, also used to coalesce concurrent identical requests
    * @private
    * @param {String} path API request path
-   * @param {String|Array} ids  A single id or a list of ids to request
-   * @param {Object} params  An object to define addition parameters for the request
-   * @param {String} apiKey The API Key for the request. Optional.
-   * @returns {Promise}
+   * @param {Object} params
+   * @param {String} apiKey
+   * @returns {String}
    */
-  _apiDetailsRequest(path, ids, params, apiKey) {
-    var $this = this;
-    
-    if (!(params instanceof Object)) {
-      apiKey = params;
-      params = {};
-    }
-    
-    if (!params.lang) {
-      params.lang = this.config.defaultLang;
-    }
-    
-    var cacheKey;
-
+  _cacheKey(path, params, apiKey) {
     if (apiKey)
-      cacheKey = `${path}#apiKey:${apiKey}#params:${JSON.stringify(params)}`;
-    else
-      cacheKey = `${path}#params:${JSON.stringify(params)}`;
+      return `${path}#apiKey:${apiKey}#params:${JSON.stringify(params)}`;
 
-    if (ids instanceof Array) {
-      ids = ids.sort((a, b) => {
-        return a - b;
-      });
-    }
+    return `${path}#params:${JSON.stringify(params)}`;
+  }
 
-    return this._findInCache(cacheKey, ids).then((cachedResult) => {
-      var objectLookup = {};
+  /**
+   * Resolves the value returned to the caller, the data alone or with its metadata
+   * @private
+   * @param {Object} result { data, meta }
+   * @param {Object} [options] Request options
+   * @returns {*}
+   */
+  _response(result, options) {
+    return this._withMeta(options) ? result : result.data;
+  }
 
-      if (cachedResult && cachedResult instanceof Array) {
-        var idsNotInCache = [];
-        for (var i = 0; i < ids.length; i++) {
-          if (cachedResult[i] === undefined) {
-            idsNotInCache.push(ids[i]);
-          }
-          else {
-            objectLookup[ids[i]] = cachedResult[i];
-          }
-        }
-        ids = idsNotInCache;
+  /**
+   * @private
+   * @param {Object} [options] Request options
+   * @returns {Boolean} true when calls resolve with { data, meta }
+   */
+  _withMeta(options) {
+    return options && options.meta !== undefined ? options.meta : this.config.meta;
+  }
 
-      }
-      else if (cachedResult) {
-        return cachedResult;
-      }
+  /**
+   * Resolves the ids referenced by a response into full objects, see the expand request option.
+   * Referenced objects are requested with batched and cached detail requests, unknown ids are left as they are
+   * @private
+   * @param {String} endpointPath Endpoint registry path of the response
+   * @param {Promise} pending Resolves with the response, as shaped by _response
+   * @param {Object} [options] Request options
+   * @returns {Promise}
+   */
+  _expand(endpointPath, pending, options) {
+    if (!options || !options.expand || !expansion.handles(endpointPath))
+      return pending;
 
-      if (ids.length <= 0)
-        return cachedResult;
+    return pending.then((result) => {
+      var withMeta = this._withMeta(options);
+      var data = expansion.copy(withMeta ? result.data : result);
+      var references = expansion.collect(endpointPath, data, expansion.referenceTypes(options.expand));
+      var idsByEndpoint = {};
+      var objectsByEndpoint = {};
 
-      var params = $this._idListToParams(ids);
+      references.forEach((reference) => {
+        var endpoint = expansion.REFERENCE_ENDPOINTS[reference.type];
+        var ids = idsByEndpoint[endpoint] = idsByEndpoint[endpoint] || [];
 
-      return $this._request(path, params, apiKey).then((requestResult) => {
-        $this._setCacheObjects(cacheKey, requestResult.data);
+        if (ids.indexOf(reference.id) === -1)
+          ids.push(reference.id);
+      });
 
-        if (!(requestResult.data instanceof Array))
-          return requestResult.data;
+      var requestOptions = Object.assign(this._requestOptions(options), { meta: false, lang: options.lang });
 
-        for (var i = 0; i < requestResult.data.length; i++) {
-          objectLookup[requestResult.data[i].id] = requestResult.data[i];
-        }
+      var requests = Object.keys(idsByEndpoint).map((endpoint) => {
+        objectsByEndpoint[endpoint] = {};
 
-        return Object.keys(objectLookup).map(key => objectLookup[key]);
-      }, (requestFailure) => {
-        return Object.keys(objectLookup).length > 0 ? Object.keys(objectLookup).map(key => objectLookup[key]) : requestFailure;
+        return this._apiDetailsRequest(endpoint, idsByEndpoint[endpoint], {}, null, requestOptions).then((objects) => {
+          objects.forEach((object) => {
+            objectsByEndpoint[endpoint][objectId(object)] = object;
+          });
+        }, (error) => {
+          if (!(error instanceof errors.NotFoundError))
+            throw error;
+        });
       });
 
-    });
-  }
+      return Promise.all(requests).then(() => {
+        references.forEach((reference) => {
+          var object = objectsByEndpoint[expansion.REFERENCE_ENDPOINTS[reference.type]][reference.id];
 
+          if (object !== undefined)
+            reference.set(object);
+        });
 
-  /****************
-   * ACHIEVEMENTS *
-   ****************/
-
-  /**
-   * Returns an Array with all the achievements or paged details
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/achievements
-   */
-  listAchievements(page, pageSize) {
-    return this._apiRequest('achievements', {
-      page: page,
-      page_size: pageSize
+        return withMeta ? Object.assign({}, result, { data: data }) : data;
+      });
     });
   }
 
   /**
-   * Returns the details of the requested achievement ids
-   * @param  {Number|Array} ids   A single achievement id or an array of achievement ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/achievements
+   * Generic api request to get objects
+   * @private
+   * @param {String} path API request path
+   * @param {Object} params Any additional parameters for the request
+   * @param {String} apiKey The API Key for the request. Optional.
+   * @param {Object} options Request options. Optional.
+   * @param {Boolean} options.meta Resolve with { data, meta }. Defaults to config.meta
+   * @param {String} options.lang Language of the response. Defaults to config.defaultLang
+   * @param {AbortSignal} options.signal Cancels the request, see _request
+   * @param {Number} options.timeout Timeout in ms of each attempt. Defaults to config.timeout
+   * @returns {Promise}
    */
-  getAchievements(ids) {
-    return this._apiDetailsRequest('achievements', ids);
-  }
+  _apiRequest(path, params, apiKey, options) {
+    var $this = this;
 
-  /**
-   * Returns info about the current daily achievements
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/achievements/daily
-   */
-  getDailyAchievements() {
-    return this._apiRequest('achievements/daily');
-  }
+    if (!(params instanceof Object)) {
+      apiKey = params;
+      params = {};
+    }
 
-  /**
-   * Returns an Array with all the achievement groups IDs
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/achievements/groups
-   */
-  listAchievementGroups(page, pageSize) {
-    return this._apiRequest('achievements/groups', {
-      page: page,
-      page_size: pageSize
-    });
-  }
+    params = Object.assign({}, params);
 
-  /**
-   * Returns the details of the requested achievement groups ids
-   * @param  {Number|Array} ids   A single achievement group id or an array of achievement group ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/achievements/groups
-   */
-  getAchievementGroups(ids) {
-    return this._apiDetailsRequest('achievements/groups', ids);
-  }
+    if (!params.lang) {
+      params.lang = (options && options.lang) || this.config.defaultLang;
+    }
 
-  /**
-   * Returns an Array with all the achievement groups
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/achievements/groups
-   */
-  listAchievementCategories(page, pageSize) {
-    return this._apiRequest('achievements/categories', {
-      page: page,
-      page_size: pageSize
+    var requestOptions = this._requestOptions(options);
+
+    if (requestOptions.signal && requestOptions.signal.aborted)
+      return Promise.reject(this._abortError(path, params));
+
+    var cacheKey = this._cacheKey(path, params, apiKey);
+    var ttl = this._cacheTTL(path);
+    var cacheLookup = this._checkPermissions(path, apiKey, requestOptions).then(() => {
+      return ttl ? $this._findInCache(cacheKey) : undefined;
     });
-  }
 
-  /**
-   * Returns the details of the requested achievement categories ids
-   * @param  {Number|Array} ids   A single achievement category id or an array of achievement category ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/achievements/categories
-   */
-  getAchievementCategories(ids) {
-    return this._apiDetailsRequest('achievements/categories', ids);
-  }
+    return cacheLookup.then((cacheEntry) => {
+      var cacheState = $this._cacheState(cacheEntry);
+      var cacheHit = cacheState === 'fresh' || cacheState === 'revalidate';
 
+      if (ttl)
+        $this._emitEvent(cacheHit ? 'cacheHit' : 'cacheMiss', path, params, apiKey, { count: 1 });
 
-  /*****************
-   * AUTHENTICATED *
-   *****************/
+      var cached = (stale) => $this._response({
+        data: stale ? $this._markStale(cacheEntry.value.data) : cacheEntry.value.data,
+        meta: Object.assign({}, cacheEntry.value.meta, stale ? { origin: 'cache', stale: true } : { origin: 'cache' })
+      }, options);
 
-  /**
-   * Returns the details of an account
-   * @param  {String} apiKey   A GW2 API key
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/account
-   */
-  getAccount(apiKey) {
-    return this._apiRequest('account', apiKey);
-  }
+      if (cacheState === 'fresh')
+        return cached(false);
 
-  /**
-   * Returns the details of an account's achievements
-   * @param  {String} apiKey   A GW2 API key
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/account/achievements
-   */
-  getAccountAchievements(apiKey) {
-    return this._apiRequest('account/achievements', apiKey);
-  }
+      var fetch = (fetchOptions) => $this._request(path, params, apiKey, fetchOptions).then((requestResult) => {
+        $this._setCacheObject(cacheKey, requestResult, ttl);
 
-  /**
-   * Returns the details of an account's bank
-   * @param  {String} apiKey   A GW2 API key
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/account/bank
-   */
-  getAccountBank(apiKey) {
-    return this._apiRequest('account/bank', apiKey);
-  }
+        return requestResult;
+      });
 
-  /**
-   * Returns the details of an account's dyes
-   * @param  {String} apiKey   A GW2 API key
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/account/dyes
-   */
-  getAccountDyes(apiKey) {
-    return this._apiRequest('account/dyes', apiKey);
-  }
+      var shared = () => {
+        if (!$this.inFlight[cacheKey]) {
+          $this.inFlight[cacheKey] = fetch({}).then((requestResult) => {
+            delete $this.inFlight[cacheKey];
 
-  /**
-   * Returns the details of an account's inventory
-   * @param  {String} apiKey   A GW2 API key
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/account/inventory
-   */
-  getAccountInventory(apiKey) {
-    return this._apiRequest('account/inventory', apiKey);
-  }
-  
-  /**
-   * Returns the details of an account's materials
-   * @param  {String} apiKey   A GW2 API key
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/account/materials
-   */
-  getAccountMaterials(apiKey) {
-    return this._apiRequest('account/materials', apiKey);
-  }
-  
-  /**
-   * Returns the details of an account's minis
-   * @param  {String} apiKey   A GW2 API key
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/account/minis
-   */
-  getAccountMinis(apiKey) {
-    return this._apiRequest('account/minis', apiKey);
-  }
-  
-  /**
-   * Returns the details of an account's skins
-   * @param  {String} apiKey   A GW2 API key
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/account/skins
-   */
-  getAccountSkins(apiKey) {
-    return this._apiRequest('account/skins', apiKey);
-  }
-  
-  /**
-   * Returns the details of an account's wallet
-   * @param  {String} apiKey   A GW2 API key
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/account/wallet
-   */
-  getAccountWallet(apiKey) {
-    return this._apiRequest('account/wallet', apiKey);
-  }
-  
-  /**
-   * Returns an account's characters
-   * @param  {String} apiKey   A GW2 API key
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/characters
-   */
-  listCharacters(apiKey, page, pageSize) {
-    return this._apiRequest('characters', {
-      page: page,
-      page_size: pageSize
-    }, apiKey);
-  }
-  
-  /**
-   * Returns the details of an account's characters
-   * @param  {String} apiKey   A GW2 API key
-   * @param  {Number|Array} ids A single character id or an array of character ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/characters
-   */
-  getCharacters(apiKey, ids) {
-    return this._apiDetailsRequest('characters', ids, apiKey);
-  }
-  
-  /**
-   * Returns the details of an account's current buy transactions
-   * @param  {String} apiKey   A GW2 API key
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/commerce/transactions
-   */
-  getCurrentBuyTransactions(apiKey) {
-    return this._apiRequest('commerce/transactions/current/buys', apiKey);
-  }
-  
-  /**
-   * Returns the details of an account's current sell transactions
-   * @param  {String} apiKey   A GW2 API key
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/commerce/transactions
-   */
-  getCurrentSellTransactions(apiKey) {
-    return this._apiRequest('commerce/transactions/current/sells', apiKey);
-  }
-  
-  /**
-   * Returns the details of an account's historical buy transactions
-   * @param  {String} apiKey   A GW2 API key
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/commerce/transactions
-   */
-  getHistoricalBuyTransactions(apiKey) {
-    return this._apiRequest('commerce/transactions/history/buys', apiKey);
-  }
-  
-  /**
-   * Returns the details of an account's historical sell transactions
-   * @param  {String} apiKey   A GW2 API key
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/commerce/transactions
-   */
-  getHistoricalSellTransactions(apiKey) {
-    return this._apiRequest('commerce/transactions/history/sells', apiKey);
-  }
-  
-  /**
-   * Returns the details of an account's PvP stats
-   * @param  {String} apiKey   A GW2 API key
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/pvp/stats
-   */
-  getPvPStats(apiKey) {
-    return this._apiRequest('pvp/stats', apiKey);
-  }
-  
-  /**
-   * Lists an account's PvP games
-   * @param  {String} apiKey   A GW2 API key
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/pvp/games
-   */
-  listPvPGames(apiKey, page, pageSize) {
-    return this._apiRequest('pvp/games', {
-      page: page,
-      page_size: pageSize
-    }, apiKey);
-  }
-  
-  /**
-   * Returns the details of an account's PvP games
-   * @param  {String} apiKey   A GW2 API key
-   * @param  {Number|Array} ids A single PvP game id or an array of PvP game ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/pvp/games
-   */
-  getPvPGames(apiKey, ids) {
-    return this._apiDetailsRequest('pvp/games', ids, apiKey);
-  }
-  
-  /**
-   * Returns the details of an account's PvP standings
-   * @param  {String} apiKey   A GW2 API key
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/pvp/standings
-   */
-  getPvPStandings(apiKey) {
-    return this._apiRequest('pvp/standings', apiKey);
-  }
-  
-  /**
-   * Returns the details of an account's token info
-   * @param  {String} apiKey   A GW2 API key
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/tokeninfo
-   */
-  getTokenInfo(apiKey) {
-    return this._apiRequest('tokeninfo', apiKey);
-  }
-  
+            return requestResult;
+          }, (error) => {
+            delete $this.inFlight[cacheKey];
+            throw error;
+          });
+        }
 
-  /******************
-   * GAME MECHANICS *
-   ******************/
+        return $this.inFlight[cacheKey];
+      };
 
-  /**
-   * Returns specializations
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/specializations
-   */
-  listSpecializations(page, pageSize) {
-    return this._apiRequest('specializations', {
-      page: page,
-      page_size: pageSize
-    });
-  }
+      if (cacheState === 'revalidate') {
+        // Failures of the background refresh are reported by the requestError event
+        shared().catch(() => {});
+        return cached(true);
+      }
 
-  /**
-   * Returns the details of the requested specialization ids
-   * @param  {Number|Array} ids A single specialization id or an array of specialization ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/specializations
-   */
-  getSpecializations(ids) {
-    return this._apiDetailsRequest('specializations', ids);
-  }
+      // Calls with their own signal or timeout don't share their request with other calls
+      var pending = requestOptions.signal || requestOptions.timeout !== undefined ? fetch(requestOptions) : shared();
 
-  /**
-   * Returns skills
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/skills
-   */
-  listSkills(page, pageSize) {
-    return this._apiRequest('skills', {
-      page: page,
-      page_size: pageSize
+      return pending.then(requestResult => $this._response(requestResult, options), (error) => {
+        if (cacheState === 'fallback' && $this._isOutageError(error))
+          return cached(true);
+
+        throw error;
+      });
     });
   }
 
   /**
-   * Returns the details of the requested skill ids
-   * @param  {Number|Array} ids A single skill id or an array of skill ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/skills
+   * Splits a list of ids into chunks the API accepts in a single request
+   * @private
+   * @param {Array} ids
+   * @returns {Array} An array of id arrays
    */
-  getSkills(ids) {
-    return this._apiDetailsRequest('skills', ids);
+  _chunkIds(ids) {
+    var chunks = [];
+    var size = this.config.maxIdsPerRequest;
+
+    for (var i = 0; i < ids.length; i += size) {
+      chunks.push(ids.slice(i, i + size));
+    }
+
+    return chunks;
   }
 
   /**
-   * Returns traits
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/traits
-   */
-  listTraits(page, pageSize) {
-    return this._apiRequest('traits', {
-      page: page,
-      page_size: pageSize
-    });
+   * Runs an async mapper over a list of items with at most `limit` calls in flight.
+   * The returned promise never rejects, every item settles into { value } or { error }
+   * @private
+   * @param {Array} items
+   * @param {Number} limit
+   * @param {Function} mapper Returns a Promise for a single item
+   * @returns {Promise} Resolves with an array of settled results in the order of items
+   */
+  _mapConcurrent(items, limit, mapper) {
+    var results = new Array(items.length);
+    var next = 0;
+
+    function worker() {
+      if (next >= items.length)
+        return Promise.resolve();
+
+      var index = next++;
+
+      return Promise.resolve()
+        .then(() => mapper(items[index], index))
+        .then((value) => {
+          results[index] = { value: value };
+        }, (error) => {
+          results[index] = { error: error };
+        })
+        .then(worker);
+    }
+
+    var workers = [];
+    for (var i = 0; i < Math.min(limit, items.length); i++) {
+      workers.push(worker());
+    }
+
+    return Promise.all(workers).then(() => results);
   }
 
   /**
-   * Returns the details of the requested trait ids
-   * @param  {Number|Array} ids A single trait id or an array of trait ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/traits
-   */
-  getTraits(ids) {
-    return this._apiDetailsRequest('traits', ids);
-  }
+   * Requests detail objects, merging ids with the ones of concurrent calls sharing the cache key.
+   * Ids already requested are not requested again, the other ones are queued and sent together,
+   * in chunks, once the current calls have all been queued
+   * @private
+   * @param {String} path API request path
+   * @param {String} cacheKey
+   * @param {Array} ids Ids not found in the cache
+   * @param {String} apiKey
+   * @param {String} lang
+   * @param {Number} ttl Cache TTL of the endpoint
+   * @param {Object} requestOptions { signal, timeout }, calls setting them get a batch of their own
+   * @returns {Promise} Resolves with an Array of { value, error, meta } in the order of ids, value is undefined for unknown ids
+   */
+  _fetchDetails(path, cacheKey, ids, apiKey, lang, ttl, requestOptions) {
+    var $this = this;
+    var shared = !requestOptions.signal && requestOptions.timeout === undefined;
+    var batch = shared ? this.inFlightDetails[cacheKey] : undefined;
 
-  /*********
-   * GUILD *
-   *********/
+    if (!batch) {
+      batch = { pending: {}, resolvers: {}, queued: [] };
 
-  /**
-   * Returns emblem foregrounds
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/emblem
-   */
-  listEmblemForegrounds(page, pageSize) {
-    return this._apiRequest('emblem/foregrounds', {
-      page: page,
-      page_size: pageSize
+      if (shared)
+        this.inFlightDetails[cacheKey] = batch;
+    }
+
+    ids.forEach((id) => {
+      if (batch.pending[id])
+        return;
+
+      batch.pending[id] = new Promise(resolve => {
+        batch.resolvers[id] = resolve;
+      });
+      batch.queued.push(id);
     });
-  }
 
-  /**
-   * Returns the details of the requested emblem foreground ids
-   * @param  {Number|Array} ids A single emblem foreground id or an array of emblem foreground ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/emblem
-   */
-  getEmblemForegrounds(ids) {
-    return this._apiDetailsRequest('emblem/foregrounds', ids);
+    function settle(id, result) {
+      batch.resolvers[id](result);
+      delete batch.resolvers[id];
+      delete batch.pending[id];
+
+      if (Object.keys(batch.pending).length === 0 && $this.inFlightDetails[cacheKey] === batch)
+        delete $this.inFlightDetails[cacheKey];
+    }
+
+    function flush() {
+      var queued = batch.queued.sort(compareIds);
+      var chunks = $this._chunkIds(queued);
+      batch.queued = [];
+      batch.scheduled = false;
+
+      $this._mapConcurrent(chunks, $this.config.maxConcurrentRequests, (chunk) => {
+        var params = Object.assign({ lang: lang }, $this._idListToParams(chunk));
+
+        return $this._request(path, params, apiKey, requestOptions);
+      }).then((chunkResults) => {
+        chunkResults.forEach((chunkResult, i) => {
+          if (chunkResult.error)
+            return chunks[i].forEach(id => settle(id, { error: chunkResult.error }));
+
+          var data = [].concat(chunkResult.value.data);
+          var found = {};
+
+          $this._setCacheObjects(cacheKey, data, ttl, chunkResult.value.meta);
+          $this._setStaticStoreObjects(path, lang, data, apiKey);
+
+          data.forEach((object) => {
+            found[objectId(object)] = object;
+          });
+          chunks[i].forEach(id => settle(id, { value: found[id], meta: chunkResult.value.meta }));
+        });
+      });
+    }
+
+    if (batch.queued.length > 0 && !batch.scheduled) {
+      batch.scheduled = true;
+      setImmediate(flush);
+    }
+
+    return Promise.all(ids.map(id => batch.pending[id]));
   }
 
   /**
-   * Returns emblem backgrounds
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/emblem
+   * Requests every object of an endpoint. Endpoints supporting ids=all are fetched in a
+   * single request, the other ones by listing their ids and requesting the details.
+   * The objects are cached one by one too, so later single id lookups are cache hits
+   * @private
+   * @param {String} path API request path
+   * @param {Object} params Request parameters, with lang
+   * @param {String} apiKey
+   * @param {Object} options Request options
+   * @returns {Promise}
    */
-  listEmblemBackgrounds(page, pageSize) {
-    return this._apiRequest('emblem/backgrounds', {
-      page: page,
-      page_size: pageSize
+  _apiAllRequest(path, params, apiKey, options) {
+    if (BULK_ENDPOINTS.indexOf(path) === -1) {
+      return this._apiRequest(path, params, apiKey, Object.assign({}, options, { meta: false })).then((ids) => {
+        return this._apiDetailsRequest(path, ids, params, apiKey, options);
+      });
+    }
+
+    var bulkParams = Object.assign({}, params, { ids: 'all' });
+
+    return this._apiRequest(path, bulkParams, apiKey, Object.assign({}, options, { meta: true })).then((result) => {
+      if (result.meta.origin !== 'cache') {
+        this._setCacheObjects(this._cacheKey(path, params, apiKey), result.data.slice(), this._cacheTTL(path), result.meta);
+        this._setStaticStoreObjects(path, params.lang, result.data, apiKey);
+      }
+
+      return this._response(result, options);
     });
   }
 
   /**
-   * Returns the details of the requested emblem background ids
-   * @param  {Number|Array} ids A single emblem background id or an array of emblem background ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/emblem
+   * Generic api request to get detail objects.
+   * Lists longer than config.maxIdsPerRequest are split in chunks and fetched in parallel,
+   * concurrent calls for the same endpoint share their upstream requests.
+   * When only some chunks fail, the resolved array has a non-enumerable `failures`
+   * property listing each failed chunk as { ids, error }. When nothing could be
+   * resolved the promise rejects with the error of the first failed chunk
+   * @private
+   * @param {String} path API request path
+   * @param {String|Array} ids  A single id, a list of ids or 'all' to request. Without ids the list of ids is requested
+   * @param {Object} params  An object to define addition parameters for the request
+   * @param {String} apiKey The API Key for the request. Optional.
+   * @param {Object} options Request options, see _apiRequest. Optional.
+   * @returns {Promise}
    */
-  getEmblemBackgrounds(ids) {
-    return this._apiDetailsRequest('emblem/backgrounds', ids);
-  }
+  _apiDetailsRequest(path, ids, params, apiKey, options) {
+    var $this = this;
+    
+    if (!(params instanceof Object)) {
+      apiKey = params;
+      params = {};
+    }
 
-  /**
-   * Returns guild permissions
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/guild/permissions
-   */
-  listGuildPermissions(page, pageSize) {
-    return this._apiRequest('guild/permissions', {
-      page: page,
-      page_size: pageSize
+    if (ids === undefined)
+      return this._apiRequest(path, params, apiKey, options);
+
+    params = Object.assign({}, params);
+    
+    if (!params.lang) {
+      params.lang = (options && options.lang) || this.config.defaultLang;
+    }
+
+    var requestOptions = this._requestOptions(options);
+
+    if (requestOptions.signal && requestOptions.signal.aborted)
+      return Promise.reject(this._abortError(path, params));
+
+    if (ids === 'all')
+      return this._apiAllRequest(path, params, apiKey, options);
+    
+    var cacheKey = this._cacheKey(path, params, apiKey);
+    var ttl = this._cacheTTL(path);
+    var single = !(ids instanceof Array);
+    var requestedIds = single ? [ids] : ids.filter((id, index) => ids.indexOf(id) === index);
+    var cacheLookup = this._checkPermissions(path, apiKey, requestOptions).then(() => {
+      return ttl ? $this._findInCache(cacheKey, requestedIds) : [];
     });
-  }
 
-  /**
-   * Returns the details of the requested guild permission ids
-   * @param  {String|Array} ids A single guild permission id or an array of guild permission ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/guild/permissions
-   */
-  getGuildPermissions(ids) {
-    return this._apiDetailsRequest('guild/permissions', ids);
-  }
+    // Stale entries served while they are refreshed, and the ones kept in case the refresh fails
+    var revalidateIds = [];
+    var fallbackLookup = {};
+    // httpStatus and oldest date of the responses the cached objects come from
+    var cachedMeta = {};
 
-  /**
-   * Returns guild upgrades
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/guild/upgrades
-   */
-  listGuildPermissions(page, pageSize) {
-    return this._apiRequest('guild/upgrades', {
-      page: page,
-      page_size: pageSize
+    return cacheLookup.then((cacheEntries) => {
+      var cachedResult = requestedIds.map((id, i) => {
+        var cacheState = $this._cacheState(cacheEntries[i]);
+
+        if (cacheState === 'revalidate')
+          revalidateIds.push(id);
+        else if (cacheState === 'fallback')
+          fallbackLookup[id] = cacheEntries[i].value;
+
+        if (cacheState !== 'fresh' && cacheState !== 'revalidate')
+          return undefined;
+
+        addResponseMeta(cachedMeta, cacheEntries[i].meta);
+        return cacheEntries[i].value;
+      });
+
+      return $this._findInStaticStore(path, params.lang, requestedIds, apiKey, cachedResult, requestOptions);
+    }).then((cachedResult) => {
+      var objectLookup = {};
+      var idsNotInCache = [];
+      var stale = revalidateIds.length > 0;
+
+      if (stale)
+        $this._fetchDetails(path, cacheKey, revalidateIds, apiKey, params.lang, ttl, {});
+
+      for (var i = 0; i < requestedIds.length; i++) {
+        if (cachedResult[i] === undefined) {
+          idsNotInCache.push(requestedIds[i]);
+        }
+        else {
+          objectLookup[requestedIds[i]] = cachedResult[i];
+        }
+      }
+
+      if (ttl && idsNotInCache.length < requestedIds.length)
+        $this._emitEvent('cacheHit', path, params, apiKey, { count: requestedIds.length - idsNotInCache.length });
+      if (ttl && idsNotInCache.length > 0)
+        $this._emitEvent('cacheMiss', path, params, apiKey, { count: idsNotInCache.length });
+
+      var response = (result, meta, failures) => {
+        var abortFailure = failures.filter(failure => failure.error instanceof errors.AbortError)[0];
+
+        if (abortFailure)
+          throw abortFailure.error;
+
+        if (failures.length > 0 && result.length === 0)
+          throw failures[0].error;
+
+        if (single && result.length === 0) {
+          throw new errors.NotFoundError(`${path} has no object with id ${ids}`, {
+            statusCode: meta.httpStatus,
+            path: path,
+            params: params
+          });
+        }
+
+        var data = single ? result[0] : result;
+
+        if (stale) {
+          meta.stale = true;
+          data = $this._markStale(data);
+        }
+
+        if (failures.length > 0)
+          Object.defineProperty(data, 'failures', { value: failures });
+
+        return $this._response({ data: data, meta: meta }, options);
+      };
+
+      var orderedResult = () => {
+        return requestedIds
+          .filter(id => objectLookup[id] !== undefined)
+          .map(id => objectLookup[id]);
+      };
+
+      if (idsNotInCache.length <= 0) {
+        var result = orderedResult();
+
+        return response(result, Object.assign({ origin: 'cache', resultCount: result.length }, cachedMeta), []);
+      }
+
+      return $this._fetchDetails(path, cacheKey, idsNotInCache, apiKey, params.lang, ttl, requestOptions).then((fetched) => {
+        var failures = [];
+        var meta = Object.assign({ origin: 'network' }, cachedMeta);
+
+        fetched.forEach((result, i) => {
+          if (result.error && fallbackLookup[idsNotInCache[i]] !== undefined && $this._isOutageError(result.error)) {
+            objectLookup[idsNotInCache[i]] = fallbackLookup[idsNotInCache[i]];
+            stale = true;
+            return;
+          }
+
+          if (result.error) {
+            var failure = failures.filter(failure => failure.error === result.error)[0];
+
+            if (failure)
+              failure.ids.push(idsNotInCache[i]);
+            else
+              failures.push({ ids: [idsNotInCache[i]], error: result.error });
+
+            return;
+          }
+
+          if (result.value !== undefined)
+            objectLookup[idsNotInCache[i]] = result.value;
+
+          meta.resultTotal = (result.meta || {}).resultTotal;
+          addResponseMeta(meta, result.meta);
+        });
+
+        var result = orderedResult();
+        meta.resultCount = result.length;
+
+        return response(result, meta, failures);
+      });
     });
   }
 
-  /**
-   * Returns the details of the requested guild upgrade ids
-   * @param  {Number|Array} ids A single guild upgrade id or an array of guild upgrade ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/guild/upgrades
-   */
-  getGuildPermissions(ids) {
-    return this._apiDetailsRequest('guild/upgrades', ids);
-  }
 
-  /***********************
-   * GUILD AUTHENTICATED *
-   ***********************/
+  /****************
+   * LOCALIZATION *
+   ****************/
 
   /**
-   * Returns a guild's event log
-   * @param {Number} apiKey A Guild Wars 2 API Key with guilds permissions
-   * @param {Number} guildId 
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/guild/:id/log
-   */
-  getGuildLog(apiKey, guildId) {
-     return this._apiRequest(`guild/${guildId}/log`, apiKey);
-  }
-  
-  /**
-   * Returns a guild's members
-   * @param {Number} apiKey A Guild Wars 2 API Key with guilds permissions
-   * @param {Number} guildId 
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/guild/:id/members
-   */
-  getGuildMembers(apiKey, guildId) {
-     return this._apiRequest(`guild/${guildId}/members`, apiKey);
-  }
-  
-  /**
-   * Returns a guild's ranks
-   * @param {Number} apiKey A Guild Wars 2 API Key with guilds permissions
-   * @param {Number} guildId 
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/guild/:id/ranks
-   */
-  getGuildRanks(apiKey, guildId) {
-     return this._apiRequest(`guild/${guildId}/ranks`, apiKey);
-  }
-  
-  /**
-   * Returns a guild's stash
-   * @param {Number} apiKey A Guild Wars 2 API Key with guilds permissions
-   * @param {Number} guildId 
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/guild/:id/stash
-   */
-  getGuildStash(apiKey, guildId) {
-     return this._apiRequest(`guild/${guildId}/stash`, apiKey);
-  }
-  
-  /**
-   * Returns a guild's treasury
-   * @param {Number} apiKey A Guild Wars 2 API Key with guilds permissions
-   * @param {Number} guildId 
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/guild/:id/treasury
+   * Returns the details of the requested ids in several languages at once, merged in one object per id.
+   * Text fields, such as name and description, and the strings that differ between languages become { en, de, ... } maps,
+   * e.g. name: { en: 'Omnomberry Bar', de: 'Omnombeeren-Riegel' }
+   * @param {String} path API request path of a localized endpoint, e.g. 'items' or 'skills'
+   * @param {Number|String|Array} ids A single id or an array of ids
+   * @param {Object} [options] Per-call request options, see README
+   * @param {Array} [options.langs] Languages to request. Defaults to en, de, fr, es and zh
+   * @param {Array} [options.fields] Fields always turned into language maps, even when equal in every language.
+   * Defaults to name, description, title, requirement and locked_text
+   * @param {String} [options.apiKey] The API Key for authenticated endpoints
+   * @return {Promise} Rejects for endpoints registered as not localized
    */
-  getGuildTreasury(apiKey, guildId) {
-     return this._apiRequest(`guild/${guildId}/treasury`, apiKey);
-  }
+  getLocalized(path, ids, options = {}) {
+    var endpoint = endpoints.findEndpoint(path);
 
-  /**
-   * Returns a guild's teams
-   * @param {Number} apiKey A Guild Wars 2 API Key with guilds permissions
-   * @param {Number} guildId 
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/guild/:id/teams
-   */
-  getGuildTreasury(apiKey, guildId) {
-     return this._apiRequest(`guild/${guildId}/teams`, apiKey);
-  }
-  
-  /**
-   * Returns a guild's upgrades
-   * @param {Number} apiKey A Guild Wars 2 API Key with guilds permissions
-   * @param {Number} guildId 
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/guild/:id/upgrades
-   */
-  getGuildUpgrades(apiKey, guildId) {
-     return this._apiRequest(`guild/${guildId}/upgrades`, apiKey);
-  }
+    if (endpoint && !endpoint.localized)
+      return Promise.reject(new Error(`${path} is not localized`));
 
-  /*********
-   * ITEMS *
-   *********/
+    var langs = options.langs || localization.LANGUAGES;
+    var requestOptions = Object.assign({}, options, { meta: false });
 
-  /**
-   * Returns an Array with items
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/items
-   */
-  listItems(page, pageSize) {
-    return this._apiRequest('items', {
-      page: page,
-      page_size: pageSize
+    var requests = langs.map((lang) => {
+      return this._apiDetailsRequest(path, ids, { lang: lang }, options.apiKey, requestOptions);
     });
-  }
 
-  /**
-   * Returns the details of the requested item ids
-   * @param  {Number|Array} ids   A single item id or an array of item ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/items
-   */
-  getItems(ids) {
-    return this._apiDetailsRequest('items', ids);
-  }
+    return Promise.all(requests).then((versionsByLang) => {
+      if (!(ids instanceof Array))
+        return localization.mergeLocalized(versionsByLang, langs, options.fields);
 
-  /**
-   * Returns an Array with materials
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/materials
-   */
-  listMaterials(page, pageSize) {
-    return this._apiRequest('materials', {
-      page: page,
-      page_size: pageSize
+      var lookups = versionsByLang.map((versions) => {
+        var lookup = {};
+        versions.forEach((version) => {
+          lookup[version.id] = version;
+        });
+        return lookup;
+      });
+
+      return versionsByLang[0]
+        .filter(object => lookups.every(lookup => lookup[object.id] !== undefined))
+        .map(object => localization.mergeLocalized(lookups.map(lookup => lookup[object.id]), langs, options.fields));
     });
   }
 
-  /**
-   * Returns the details of the requested material ids
-   * @param  {Number|Array} ids   A single material id or an array of material ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/items
-   */
-  getMaterials(ids) {
-    return this._apiDetailsRequest('materials', ids);
-  }
 
-  /**
-   * Returns an Array with recipes
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/recipes
-   */
-  listRecipes(page, pageSize) {
-    return this._apiRequest('recipes', {
-      page: page,
-      page_size: pageSize
-    });
-  }
+  /****************
+   * STATIC STORE *
+   ****************/
 
   /**
-   * Returns the details of the requested recipe ids
-   * @param  {Number|Array} ids   A single recipe id or an array of recipe ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/recipes
+   * Preloads whole static endpoints in the static store, e.g. before a busy period.
+   * Objects already stored for the current build are not requested again
+   * @param {Array} [endpoints] Endpoint paths to preload. Defaults to every endpoint of the store
+   * @param {Object} [options]
+   * @param {String} [options.lang] Defaults to config.defaultLang
+   * @param {AbortSignal} [options.signal] Cancels the remaining requests
+   * @param {Number} [options.timeout] Timeout in ms of each request
+   * @return {Promise} Resolves with an Array of { endpoint, count }
    */
-  getRecipes(ids) {
-    return this._apiDetailsRequest('recipes', ids);
-  }
+  warmUpStaticStore(endpoints, options = {}) {
+    if (!this.staticStore)
+      return Promise.reject(new Error('No static store configured, see config.staticStore'));
 
-  /**
-   * Returns a list of recipe ids (array of numbers) that match the query.
-   * Input and output parameters are mutually exclusive.
-   * @param  {Object} query
-   * @param  {Number} [query.input]  The item id when searching for recipes with an item as an ingredient.
-   * @param  {Number} [query.output] The item id when searching for the recipes that craft an item.
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/recipes/search
-   */
-  searchRecipes(query) {
-    return this._apiRequest('recipes/search', query);
-  }
+    endpoints = endpoints || this.staticStore.endpoints;
 
-  /**
-   * Returns an Array with skins
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/skins
-   */
-  listSkins(page, pageSize) {
-    return this._apiRequest('skins', {
-      page: page,
-      page_size: pageSize
-    });
+    var requestOptions = Object.assign(this._requestOptions(options), { meta: false });
+
+    var warmUp = (endpoint) => {
+      return this._apiRequest(endpoint, { lang: options.lang }, null, requestOptions).then((ids) => {
+        return this._apiDetailsRequest(endpoint, ids, { lang: options.lang }, null, requestOptions);
+      }).then(objects => ({ endpoint: endpoint, count: objects.length }));
+    };
+
+    return endpoints.reduce((previous, endpoint) => {
+      return previous.then(results => warmUp(endpoint).then(result => results.concat([result])));
+    }, Promise.resolve([]));
   }
 
   /**
-   * Returns the details of the requested skin ids
-   * @param  {Number|Array} ids   A single skin id or an array of skin ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/skins
+   * Reports what the static store holds and which endpoints are stale
+   * @param {Array} [langs] Languages to report on. Defaults to [config.defaultLang]
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] Cancels the build request
+   * @param {Number} [options.timeout] Timeout in ms of the build request
+   * @return {Promise} Resolves with an Array of { endpoint, lang, build, currentBuild, count, updated, stale }
    */
-  getSkins(ids) {
-    return this._apiDetailsRequest('skins', ids);
+  getStaticStoreStatus(langs, options) {
+    if (!this.staticStore)
+      return Promise.reject(new Error('No static store configured, see config.staticStore'));
+
+    var store = this.staticStore;
+    var requestOptions = this._requestOptions(options);
+
+    return store.checkBuild(() => this._request('build', {}, undefined, requestOptions).then(result => result.data))
+      .then(() => store.status(langs || [this.config.defaultLang]));
   }
 
 
-  /*******************
-   * MAP INFORMATION *
-   *******************/
+  /**************
+   * PAGINATION *
+   **************/
 
   /**
-   * Returns a list of continents
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page sizeid
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/continents
+   * Returns an async iterator over every object of a paged endpoint, requesting pages as they are consumed.
+   * Use it with `for await (const item of gw2api.iterate('items'))`, a `break` stops the requests.
+   * @param {String} path API request path, e.g. 'items' or 'commerce/transactions/history/sells'
+   * @param {Object} [options]
+   * @param {Number} [options.pageSize] Objects per page request. Defaults to 200
+   * @param {Number} [options.page] First page to request. Defaults to 0
+   * @param {Number} [options.limit] Stop after this many objects
+   * @param {Object} [options.params] Additional parameters for each page request
+   * @param {String} [options.lang] Language of the objects. Defaults to config.defaultLang
+   * @param {String} [options.apiKey] The API Key for authenticated endpoints
+   * @param {AbortSignal} [options.signal] Cancels the page requests
+   * @param {Number} [options.timeout] Timeout in ms of each page request
+   * @return {PageIterator}
    */
-  listContinents(page, pageSize) {
-    return this._apiRequest('continents', {
-      page: page,
-      page_size: pageSize
-    });
+  iterate(path, options) {
+    return new PageIterator(this, path, options);
   }
 
   /**
-   * Returns a list of floors from a continent
-   * @param {Number} continentId The id of a continent
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page sizeid
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/continents
+   * Returns every object of a paged endpoint, walking all the pages
+   * @param {String} path API request path
+   * @param {Object} [options] Same options as iterate
+   * @return {Promise} Resolves with an Array
    */
-  listFloors(continentId, page, pageSize) {
-    return this._apiRequest(`continents/${continentId}/floors`, {
-      page: page,
-      page_size: pageSize
-    });
+  all(path, options) {
+    return this.iterate(path, options).toArray();
   }
 
-  /**
-   * Returns a list of regions from a floor inside a continent
-   * @param {Number} continentId The id of a continent
-   * @param {Number} floorId The id of a floor of the continent
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page sizeid
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/continents
-   */
-  listRegions(continentId, floorId, page, pageSize) {
-    return this._apiRequest(`continents/${continentId}/floors/${floorId}/regions`, {
-      page: page,
-      page_size: pageSize
-    });
-  }
 
-  /**
-   * Returns a list of maps from aregion inside a floor inside a continent
-   * @param {Number} continentId The id of a continent
-   * @param {Number} floorId The id of a floor of the continent
-   * @param {Number} regionId The id of a region of the floor
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page sizeid
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/continents
-   */
-  listMapsFromRegion(continentId, floorId, regionId, page, pageSize) {
-    return this._apiRequest(`continents/${continentId}/floors/${floorId}/regions/${regionId}/maps`, {
-      page: page,
-      page_size: pageSize
-    });
-  }
+  /*********
+   * CACHE *
+   *********/
 
   /**
-   * Returns a list of maps from aregion inside a floor inside a continent
-   * @param {Number} continentId The id of a continent
-   * @param {Number} floorId The id of a floor of the continent
-   * @param {Number} regionId The id of a region of the floor
-   * @param {Number} mapId The id of a map of the region
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page sizeid
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/continents
+   * Removes cached responses. Without filters the whole cache is cleared.
+   * Filtering needs a cache store supporting `keys` and `del`
+   * @param {Object} [filter]
+   * @param {String} [filter.path] Endpoint path or path pattern, e.g. 'items' or 'account/*'
+   * @param {String} [filter.apiKey] Only remove responses requested with this API key, and its known permissions
+   * @return {Promise} Resolves with the number of removed entries, undefined when the whole cache is cleared
    */
-  listSectors(continentId, floorId, regionId, mapId, page, pageSize) {
-    return this._apiRequest(`continents/${continentId}/floors/${floorId}/regions/${regionId}/maps/${mapId}/sectors`, {
-      page: page,
-      page_size: pageSize
-    });
-  }
+  invalidateCache(filter = {}) {
+    if (filter.apiKey)
+      delete this.keyPermissions[filter.apiKey];
 
-  /**
-   * Returns a list of maps from aregion inside a floor inside a continent
-   * @param {Number} continentId The id of a continent
-   * @param {Number} floorId The id of a floor of the continent
-   * @param {Number} regionId The id of a region of the floor
-   * @param {Number} mapId The id of a map of the region
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page sizeid
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/continents
-   */
-  listPOIs(continentId, floorId, regionId, mapId, page, pageSize) {
-    return this._apiRequest(`continents/${continentId}/floors/${floorId}/regions/${regionId}/maps/${mapId}/pois`, {
-      page: page,
-      page_size: pageSize
-    });
-  }
+    if (!filter.path && !filter.apiKey) {
+      this.keyPermissions = {};
+      return this._cacheCommand('reset');
+    }
 
-  /**
-   * Returns a list of maps from aregion inside a floor inside a continent
-   * @param {Number} continentId The id of a continent
-   * @param {Number} floorId The id of a floor of the continent
-   * @param {Number} regionId The id of a region of the floor
-   * @param {Number} mapId The id of a map of the region
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page sizeid
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/continents
-   */
-  listTasks(continentId, floorId, regionId, mapId, page, pageSize) {
-    return this._apiRequest(`continents/${continentId}/floors/${floorId}/regions/${regionId}/maps/${mapId}/tasks`, {
-      page: page,
-      page_size: pageSize
-    });
-  }
+    return this._cacheCommand('keys').then((keys) => {
+      var matching = keys.filter((key) => {
+        if (filter.path && !matchPathPattern(filter.path, key.split('#')[0]))
+          return false;
 
+        return !filter.apiKey || key.indexOf(`#apiKey:${filter.apiKey}#`) !== -1;
+      });
 
-  /**************
-   * PVP SEASONS *
-   ***************/
+      if (matching.length === 0)
+        return 0;
 
-  /**
-   * Returns an Array with pvp seasons
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/pvp/season
-   */
-  listSeasons(page, pageSize) {
-    return this._apiRequest('pvp/season', {
-      page: page,
-      page_size: pageSize
+      return this._cacheCommand('del', matching).then(() => matching.length);
     });
   }
 
-  /**
-   * Returns the details of the requested pvp season ids
-   * @param  {Number|Array} ids   A single pvp season id or an array of pvp season ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/pvp/season
-   */
-  getSeasons(ids) {
-    return this._apiDetailsRequest('pvp/season', ids);
-  }
 
-  /***************
-   * TRADING POST *
-   ****************/
+  /***********
+   * METRICS *
+   ***********/
 
   /**
-   * Returns an Array with Trading post buy and sell listings by item
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/commerce/listings
+   * Returns request, error, retry and cache counters with latency histograms, in total and by endpoint path
+   * @return {Object}
    */
-  listBuySellListings(page, pageSize) {
-    return this._apiRequest('commerce/listings', {
-      page: page,
-      page_size: pageSize
-    });
+  getStats() {
+    return this.metrics.summary();
   }
 
   /**
-   * Returns the details of buy and sell trading post listings of the requested item ids
-   * @param  {Number|Array} ids   A single item id or an array of item ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/commerce/listings
+   * Sets every counter of getStats back to 0
    */
-  getBuySellListings(ids) {
-    return this._apiDetailsRequest('commerce/listings', ids);
+  resetStats() {
+    this.metrics.reset();
   }
 
-  /**
-   * Returns the current coin exchange
-   * @param {Number} quantity Quantity of coins
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/commerce/exchange/coins
-   */
-  getCoinExchange(quantity) {
-    return this._apiRequest('commerce/exchange/coins', {
-      quantity: quantity
-    });
-  }
+
+  /***************
+   * PERMISSIONS *
+   ***************/
 
   /**
-   * Returns the current gem exchange
-   * @param {Number} quantity Quantity of gems
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/commerce/exchange/gems
+   * Returns which authenticated methods of this library an API key can use
+   * @param {String} apiKey A GW2 API key
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] Cancels the tokeninfo request
+   * @param {Number} [options.timeout] Timeout in ms of the tokeninfo request
+   * @return {Promise} Resolves with { permissions, methods, missing } where methods maps each method name
+   * to true or false and missing maps the unusable ones to the permissions they lack
    */
-  getGemExchange(quantity) {
-    return this._apiRequest('commerce/exchange/gems', {
-      quantity: quantity
-    });
-  }
+  getKeyCapabilities(apiKey, options) {
+    return this._keyPermissions(apiKey, this._requestOptions(options)).then((keyPermissions) => {
+      var capabilities = { permissions: keyPermissions, methods: {}, missing: {} };
 
+      Object.keys(permissions.METHOD_ENDPOINTS).forEach((method) => {
+        var missing = permissions.missingPermissions(permissions.METHOD_ENDPOINTS[method], keyPermissions);
 
-  /**
-   * Returns an Array with prices of items
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/commerce/prices
-   */
-  listPrices(page, pageSize) {
-    return this._apiRequest('commerce/prices', {
-      page: page,
-      page_size: pageSize
+        capabilities.methods[method] = missing.length === 0;
+        if (missing.length > 0)
+          capabilities.missing[method] = missing;
+      });
+
+      return capabilities;
     });
   }
 
   /**
-   * Returns the prices of the requested item ids
-   * @param  {Number|Array} ids   A single item id or an array of item ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/commerce/prices
+   * Returns a session bound to an API key, exposing every authenticated method without the apiKey argument
+   * @param {String} apiKey A GW2 API key
+   * @return {GW2APISession}
    */
-  getPrices(ids) {
-    return this._apiDetailsRequest('commerce/prices', ids);
+  withKey(apiKey) {
+    return new GW2APISession(this, apiKey);
   }
 
 
-  /******
-   * WVW *
-   *******/
+  /*****************
+   * ACCOUNT VALUE *
+   *****************/
 
   /**
-   * Returns an Array with WvW matches
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/wvw/matches
+   * Objects of a detail request by id, empty when none of the ids exist
+   * @private
+   * @param {Promise} pending A get* call resolving without meta
+   * @returns {Promise}
    */
-  listMatches(page, pageSize) {
-    return this._apiRequest('wvw/matches', {
-      page: page,
-      page_size: pageSize
+  _objectsById(pending) {
+    return pending.then((objects) => {
+      var byId = {};
+
+      [].concat(objects).forEach(object => byId[objectId(object)] = object);
+      return byId;
+    }, (error) => {
+      if (error instanceof errors.NotFoundError)
+        return {};
+
+      throw error;
     });
   }
 
   /**
-   * Returns the details of the requested WvW matches ids
-   * @param  {Number|Array} ids   A single WvW matches id or an array of WvW matches ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/wvw/matches
-   */
-  getMatches(ids) {
-    return this._apiDetailsRequest('wvw/matches', ids);
-  }
+   * Returns the liquid value of an account in coins, after trading post fees: wallet coins, bank, material storage,
+   * shared inventory, character bags and current trading post orders, valued with the current prices.
+   * Account bound, soulbound and untraded items are left out and listed in `excluded`.
+   * Sources the key has no permission for are skipped and listed in `skipped`
+   * @param {String} apiKey A GW2 API key
+   * @param {Object} [options]
+   * @param {Number} [options.top] Number of most valuable items reported. Defaults to 10
+   * @param {AbortSignal} [options.signal] Cancels the requests
+   * @param {Number} [options.timeout] Timeout in ms of each request
+   * @return {Promise} Resolves with { total, sources, items, excluded, skipped }, see README
+   */
+  getAccountValue(apiKey, options = {}) {
+    var requestOptions = Object.assign(this._requestOptions(options), { meta: false });
+    var sources = {
+      wallet: ['getAccountWallet', () => this.getAccountWallet(apiKey, requestOptions)],
+      bank: ['getAccountBank', () => this.getAccountBank(apiKey, requestOptions)],
+      materials: ['getAccountMaterials', () => this.getAccountMaterials(apiKey, requestOptions)],
+      inventory: ['getAccountInventory', () => this.getAccountInventory(apiKey, requestOptions)],
+      characters: ['listCharacters', () => this.all('characters', Object.assign({ apiKey: apiKey }, requestOptions))],
+      buys: ['iterateCurrentBuyTransactions', () => this.all('commerce/transactions/current/buys', Object.assign({ apiKey: apiKey }, requestOptions))],
+      sells: ['iterateCurrentSellTransactions', () => this.all('commerce/transactions/current/sells', Object.assign({ apiKey: apiKey }, requestOptions))]
+    };
+    var holdings = {};
+    var skipped = [];
+
+    return this.getKeyCapabilities(apiKey, requestOptions).then((capabilities) => {
+      return Promise.all(Object.keys(sources).map((source) => {
+        if (!capabilities.methods[sources[source][0]]) {
+          skipped.push(source);
+          return;
+        }
 
-  /**
-   * Returns the details of the match a world is currently in
-   * @param  {Number|Array} ids   A single world id
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/wvw/matches
-   */
-  getMatchByWorld(worldId) {
-    return this._apiRequest('wvw/matches', {
-      world: worldId
+        return sources[source][1]().then(data => holdings[source] = data);
+      }));
+    }).then(() => {
+      var ids = wealth.collectStacks(holdings).map(stack => stack.id)
+        .concat((holdings.sells || []).map(order => order.item_id))
+        .filter((id, i, ids) => ids.indexOf(id) === i);
+
+      if (ids.length === 0)
+        return [{}, {}];
+
+      return Promise.all([
+        this._objectsById(this.getItems(ids, requestOptions)),
+        this._objectsById(this.getPrices(ids, requestOptions))
+      ]);
+    }).then((results) => {
+      return Object.assign(wealth.valuate(holdings, results[0], results[1], options), { skipped: skipped });
     });
   }
 
+
+  /************
+   * CRAFTING *
+   ************/
+
   /**
-   * Returns an Array with WvW objectives
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/wvw/objectives
-   */
-  listObjectives(page, pageSize) {
-    return this._apiRequest('wvw/objectives', {
-      page: page,
-      page_size: pageSize
+   * Requests the recipes of an item and of its ingredients, level by level
+   * @private
+   * @param {Number} itemId
+   * @param {Object} requestOptions
+   * @returns {Promise} Resolves with { recipesByOutput, recipes, itemIds }
+   */
+  _recipeTree(itemId, requestOptions) {
+    var data = { recipesByOutput: {}, recipes: {}, itemIds: [itemId] };
+
+    var level = (itemIds) => {
+      return this._mapConcurrent(itemIds, this.config.maxConcurrentRequests, (id) => {
+        return this.searchRecipes({ output: id }, requestOptions);
+      }).then((results) => {
+        var recipeIds = [];
+
+        results.forEach((result, i) => {
+          if (result.error)
+            throw result.error;
+
+          data.recipesByOutput[itemIds[i]] = result.value;
+          recipeIds = recipeIds.concat(result.value);
+        });
+
+        if (recipeIds.length === 0)
+          return data;
+
+        return this._objectsById(this.getRecipes(recipeIds, requestOptions)).then((recipes) => {
+          var next = [];
+
+          Object.keys(recipes).forEach((id) => {
+            data.recipes[id] = recipes[id];
+
+            recipes[id].ingredients.forEach((ingredient) => {
+              if (data.itemIds.indexOf(ingredient.item_id) === -1) {
+                data.itemIds.push(ingredient.item_id);
+                next.push(ingredient.item_id);
+              }
+            });
+          });
+
+          return next.length > 0 ? level(next) : data;
+        });
+      });
+    };
+
+    return level([itemId]);
+  }
+
+  /**
+   * Plans how to get an item at the lowest cost: builds its whole crafting tree and decides for each node
+   * whether buying it on the trading post or crafting it is cheaper. Items with several recipes use the cheapest one,
+   * items neither tradeable nor craftable are to be acquired some other way. They have no price, the plan lists them
+   * in `unpriced` and its cost leaves them out
+   * @param {Number} itemId
+   * @param {Object} [options]
+   * @param {Number} [options.quantity] Defaults to 1
+   * @param {AbortSignal} [options.signal] Cancels the requests
+   * @param {Number} [options.timeout] Timeout in ms of each request
+   * @return {Promise} Resolves with { id, quantity, cost, unpriced, tree, shoppingList }, see README
+   */
+  getCraftingPlan(itemId, options = {}) {
+    var quantity = options.quantity || 1;
+    var requestOptions = Object.assign(this._requestOptions(options), { meta: false });
+
+    return this._recipeTree(itemId, requestOptions).then((data) => {
+      return Promise.all([
+        this._objectsById(this.getItems(data.itemIds, requestOptions)),
+        this._objectsById(this.getPrices(data.itemIds, requestOptions))
+      ]).then((results) => {
+        var tree = crafting.buildTree(itemId, quantity, {
+          recipesByOutput: data.recipesByOutput,
+          recipes: data.recipes,
+          items: results[0],
+          prices: results[1]
+        });
+
+        return {
+          id: itemId,
+          quantity: quantity,
+          cost: tree.cost,
+          unpriced: tree.unpriced,
+          tree: tree,
+          shoppingList: crafting.shoppingList(tree)
+        };
+      });
     });
   }
 
-  /**
-   * Returns the details of the requested WvW objective ids
-   * @param  {Number|Array} ids   A single WvW objective id or an array of WvW objective ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/wvw/objectives
-   */
-  getObjectives(ids) {
-    return this._apiDetailsRequest('wvw/objectives', ids);
-  }
 
-  /***************
-   * MISCELANEOUS *
+  /****************
+   * TRADING POST *
    ****************/
 
   /**
-   * Returns the current build number
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/build
-   */
-  getCurrentBuild() {
-    return this._apiRequest('build');
-  }
-
-  /**
-   * Returns an Array with colors
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/colors
-   */
-  listColors(page, pageSize) {
-    return this._apiRequest('colors', {
-      page: page,
-      page_size: pageSize
+   * Ranks items by the profit of buying them at the highest buy order and selling them at the lowest sell offer,
+   * after the 5% listing and 10% exchange fees. The listings of the best flips tell how many units can be flipped
+   * before the margin disappears
+   * @param {Object} [options]
+   * @param {Array} [options.ids] Item ids to scan. Defaults to every item of the trading post
+   * @param {Number} [options.minDemand] Min quantity wanted by buy orders
+   * @param {Number} [options.minSupply] Min quantity offered by sell offers
+   * @param {Number} [options.minPrice] Min buy price in coins
+   * @param {Number} [options.maxPrice] Max buy price in coins
+   * @param {Number} [options.minProfit] Min profit per unit in coins. Defaults to 1
+   * @param {Number} [options.minRoi] Min profit as a fraction of the buy price, e.g. 0.1
+   * @param {Array} [options.types] Item types to keep, e.g. ['CraftingMaterial']
+   * @param {Array} [options.rarities] Item rarities to keep, e.g. ['Exotic', 'Ascended']
+   * @param {String} [options.sortBy] 'profit' or 'roi'. Defaults to 'profit'
+   * @param {Number} [options.limit] Number of flips returned. Defaults to 20
+   * @param {Boolean} [options.depth] Request the listings of the returned flips to estimate their depth. Defaults to true
+   * @param {AbortSignal} [options.signal] Cancels the requests
+   * @param {Number} [options.timeout] Timeout in ms of each request
+   * @return {Promise} Resolves with an Array of { id, name, type, rarity, buyPrice, sellPrice, profit, roi, demand,
+   * supply, depth }, see README
+   */
+  findFlips(options = {}) {
+    var limit = options.limit !== undefined ? options.limit : 20;
+    var requestOptions = Object.assign(this._requestOptions(options), { meta: false });
+
+    if (options.sortBy && ['profit', 'roi'].indexOf(options.sortBy) === -1)
+      return Promise.reject(new Error(`Unknown flip sort ${options.sortBy}, expected profit or roi`));
+
+    return this.getPrices(options.ids || 'all', requestOptions).then((prices) => {
+      var results = [].concat(prices).filter(price => flips.matchesPrice(price, options)).map(flips.toFlip);
+
+      // Without type and rarity filters only the returned flips need their item details
+      if (!options.types && !options.rarities)
+        results = flips.rank(results, options.sortBy).slice(0, limit);
+
+      if (results.length === 0)
+        return [];
+
+      return this._objectsById(this.getItems(results.map(result => result.id), requestOptions)).then((items) => {
+        results = results.filter(result => flips.matchesItem(items[result.id], options)).map((result) => {
+          var item = items[result.id] || {};
+
+          return Object.assign(result, { name: item.name, type: item.type, rarity: item.rarity });
+        });
+
+        results = flips.rank(results, options.sortBy).slice(0, limit);
+
+        if (options.depth === false || results.length === 0)
+          return results;
+
+        return this._objectsById(this.getBuySellListings(results.map(result => result.id), requestOptions)).then((listings) => {
+          results.forEach((result) => {
+            if (listings[result.id])
+              result.depth = flips.depth(listings[result.id], options.minProfit);
+          });
+
+          return results;
+        });
+      });
     });
   }
 
-  /**
-   * Returns the details of the requested color ids
-   * @param  {Number|Array} ids   A single color id or an array of color ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/colors
-   */
-  getColors(ids) {
-    return this._apiDetailsRequest('colors', ids);
-  }
+
+  /*****************
+   * PRICE HISTORY *
+   *****************/
 
   /**
-   * Returns an Array with currencies
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/currencies
+   * Records the current trading post prices in the price history
+   * @param {Array} [ids] Item ids of the watchlist. Defaults to every item of the trading post
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] Cancels the requests
+   * @param {Number} [options.timeout] Timeout in ms of each request
+   * @return {Promise} Resolves with { time, count }
    */
-  listCurrencies(page, pageSize) {
-    return this._apiRequest('currencies', {
-      page: page,
-      page_size: pageSize
+  snapshotPrices(ids, options = {}) {
+    if (!this.priceHistory)
+      return Promise.reject(new Error('No price history configured, see config.priceHistory'));
+
+    var time = Date.now();
+    var requestOptions = Object.assign(this._requestOptions(options), { meta: false });
+
+    return this.getPrices(ids || 'all', requestOptions).then((prices) => {
+      prices = [].concat(prices);
+
+      return this.priceHistory.record(prices, time).then(() => ({ time: time, count: prices.length }));
     });
   }
 
   /**
-   * Returns the details of the requested currency ids
-   * @param  {Number|Array} ids   A single currency id or an array of currency ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/currencies
-   */
-  getCurrencies(ids) {
-    return this._apiDetailsRequest('currencies', ids);
-  }
+   * Snapshots the prices right away, then periodically until stopped. A snapshot due while the previous one
+   * is still running is skipped
+   * @param {Array} [ids] Item ids of the watchlist. Defaults to every item of the trading post
+   * @param {Object} [options]
+   * @param {Number} [options.interval] Seconds between snapshots. Defaults to 300
+   * @param {Function} [options.onSnapshot] Called with the { time, count } of each snapshot
+   * @param {Function} [options.onError] Called with the error of each failed snapshot, failures are ignored otherwise
+   * @param {Number} [options.timeout] Timeout in ms of each request
+   * @return {Object} { stop } where stop() ends the tracking
+   */
+  trackPrices(ids, options = {}) {
+    if (!this.priceHistory)
+      throw new Error('No price history configured, see config.priceHistory');
+
+    var interval = (options.interval || 300) * 1000;
+    var running = false;
+    var snapshot = () => {
+      if (running)
+        return;
+
+      running = true;
+      this.snapshotPrices(ids, { timeout: options.timeout }).then((result) => {
+        running = false;
+        if (options.onSnapshot)
+          options.onSnapshot(result);
+      }, (error) => {
+        running = false;
+        if (options.onError)
+          options.onError(error);
+      });
+    };
 
-  /**
-   * Returns an Array with files
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/files
-   */
-  listFiles(page, pageSize) {
-    return this._apiRequest('files', {
-      page: page,
-      page_size: pageSize
-    });
+    var timer = setInterval(snapshot, interval);
+    snapshot();
+
+    return {
+      stop: () => clearInterval(timer)
+    };
   }
 
   /**
-   * Returns the details of the requested file ids
-   * @param  {String|Array} ids   A single file id or an array of file ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/files
+   * Returns the recorded prices of an item
+   * @param {Number} id Item id
+   * @param {Object} [options] { since, until } in ms, see PriceHistory#series
+   * @return {Promise} Resolves with an Array of { time, buy, sell, demand, supply }, oldest first
    */
-  getFiles(ids) {
-    return this._apiDetailsRequest('files', ids);
+  getPriceHistory(id, options) {
+    if (!this.priceHistory)
+      return Promise.reject(new Error('No price history configured, see config.priceHistory'));
+
+    return this.priceHistory.series(id, options);
   }
 
   /**
-   * Returns an Array with quaggans
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
+   * Returns trend statistics of an item's recorded prices: average, min, max, volatility, % change and
+   * how far the latest price is from the average, see PriceHistory#stats
+   * @param {Number} id Item id
+   * @param {Object} [options] { field, window, until }
    * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/quaggans
    */
-  listQuaggans(page, pageSize) {
-    return this._apiRequest('quaggans', {
-      page: page,
-      page_size: pageSize
-    });
+  getPriceStats(id, options) {
+    if (!this.priceHistory)
+      return Promise.reject(new Error('No price history configured, see config.priceHistory'));
+
+    return this.priceHistory.stats(id, options);
   }
 
   /**
-   * Returns the details of the requested quaggan ids
-   * @param  {String|Array} ids   A single quaggan id or an array of quaggan ids to get details
-   * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/quaggans
+   * Returns the moving average of an item's recorded prices, see PriceHistory#movingAverage
+   * @param {Number} id Item id
+   * @param {Object} [options] { period, field, window, until }
+   * @return {Promise} Resolves with an Array of { time, value }
    */
-  getQuaggans(ids) {
-    return this._apiDetailsRequest('quaggans', ids);
+  getMovingAverage(id, options) {
+    if (!this.priceHistory)
+      return Promise.reject(new Error('No price history configured, see config.priceHistory'));
+
+    return this.priceHistory.movingAverage(id, options);
   }
 
+
+  /***********************
+   * ENDPOINT EXCEPTIONS *
+   ***********************/
+
+  // Methods taking parameters the endpoint registry doesn't describe,
+  // the other list*, get* and iterate* methods are generated from src/endpoints.js
+
   /**
-   * Returns an Array with minis
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
+   * Returns a list of recipe ids (array of numbers) that match the query.
+   * Input and output parameters are mutually exclusive.
+   * @param  {Object} query
+   * @param  {Number} [query.input]  The item id when searching for recipes with an item as an ingredient.
+   * @param  {Number} [query.output] The item id when searching for the recipes that craft an item.
+   * @param {Object} [options] Optional. Per-call request options, see README
    * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/minis
+   * @see https://wiki.guildwars2.com/wiki/API:2/recipes/search
    */
-  listMinis(page, pageSize) {
-    return this._apiRequest('minis', {
-      page: page,
-      page_size: pageSize
-    });
+  searchRecipes(query, options) {
+    return this._apiRequest('recipes/search', query, null, options);
   }
 
   /**
-   * Returns the details of the requested mini ids
-   * @param  {String|Array} ids   A single mini id or an array of mini ids to get details
+   * Returns the current coin exchange
+   * @param {Number} quantity Quantity of coins
+   * @param {Object} [options] Optional. Per-call request options, see README
    * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/minis
+   * @see https://wiki.guildwars2.com/wiki/API:2/commerce/exchange/coins
    */
-  getMinis(ids) {
-    return this._apiDetailsRequest('minis', ids);
+  getCoinExchange(quantity, options) {
+    return this._apiRequest('commerce/exchange/coins', {
+      quantity: quantity
+    }, null, options);
   }
 
   /**
-   * Returns an Array with worlds
-   * @param {Number} page Optional. Used for pagination. Page number
-   * @param {Number} pageSize Optional. Used for pagination. Page size
+   * Returns the current gem exchange
+   * @param {Number} quantity Quantity of gems
+   * @param {Object} [options] Optional. Per-call request options, see README
    * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/worlds
+   * @see https://wiki.guildwars2.com/wiki/API:2/commerce/exchange/gems
    */
-  listWorlds(page, pageSize) {
-    return this._apiRequest('worlds', {
-      page: page,
-      page_size: pageSize
-    });
+  getGemExchange(quantity, options) {
+    return this._apiRequest('commerce/exchange/gems', {
+      quantity: quantity
+    }, null, options);
   }
 
   /**
-   * Returns the details of the requested world ids
-   * @param  {String|Array} ids   A single world id or an array of world ids to get details
+   * Returns the details of the match a world is currently in
+   * @param  {Number|Array} ids   A single world id
+   * @param {Object} [options] Optional. Per-call request options, see README
    * @return {Promise}
-   * @see https://wiki.guildwars2.com/wiki/API:2/worlds
+   * @see https://wiki.guildwars2.com/wiki/API:2/wvw/matches
    */
-  getWorlds(ids) {
-    return this._apiDetailsRequest('worlds', ids);
+  getMatchByWorld(worldId, options) {
+    return this._apiRequest('wvw/matches', {
+      world: worldId
+    }, null, options);
   }
-
 }
 
+endpoints.defineMethods(GW2API.prototype);
+
+GW2API.errors = errors;
+GW2API.GW2APISession = GW2APISession;
+GW2API.MockServer = MockServer;
+GW2API.PriceHistory = PriceHistory;
 
 module.exports = GW2API;
\ No newline at end of file
@@ -0,0 +1,79 @@
+'use strict'
+
+// Languages supported by the API
+const LANGUAGES = ['en', 'de', 'fr', 'es', 'zh'];
+
+// Top level text fields of the localized endpoints, translated in each language
+const TEXT_FIELDS = ['name', 'description', 'title', 'requirement', 'locked_text'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !(value instanceof Array);
+}
+
+function sameValue(values) {
+  var first = JSON.stringify(values[0]);
+
+  return values.every(value => JSON.stringify(value) === first);
+}
+
+function toLanguageMap(values, langs) {
+  var localized = {};
+
+  langs.forEach((lang, i) => {
+    localized[lang] = values[i];
+  });
+
+  return localized;
+}
+
+function mergeValues(values, langs) {
+  var first = values[0];
+
+  if (sameValue(values))
+    return first;
+
+  if (typeof first === 'string')
+    return toLanguageMap(values, langs);
+
+  if (first instanceof Array) {
+    if (!values.every(value => value instanceof Array && value.length === first.length))
+      return first;
+
+    return first.map((value, index) => mergeValues(values.map(version => version[index]), langs));
+  }
+
+  if (!values.every(isPlainObject))
+    return first;
+
+  var merged = {};
+  Object.keys(first).forEach((key) => {
+    merged[key] = mergeValues(values.map(version => version[key]), langs);
+  });
+
+  return merged;
+}
+
+/**
+ * Merges the versions of an object in several languages into one object.
+ * Text fields and the other strings that differ between languages become { en, de, ... } maps, the rest is kept once.
+ * @param {Array} versions The same object in each language, in the order of langs
+ * @param {Array} langs
+ * @param {Array} [fields] Top level string fields always turned into language maps. Defaults to TEXT_FIELDS
+ * @return {Object}
+ */
+function mergeLocalized(versions, langs, fields) {
+  var merged = Object.assign({}, mergeValues(versions, langs));
+
+  (fields || TEXT_FIELDS).forEach((field) => {
+    if (typeof versions[0][field] === 'string')
+      merged[field] = toLanguageMap(versions.map(version => version[field]), langs);
+  });
+
+  return merged;
+}
+
+module.exports = {
+  LANGUAGES: LANGUAGES,
+  TEXT_FIELDS: TEXT_FIELDS,
+  mergeLocalized: mergeLocalized
+};
@@ -0,0 +1,117 @@
+'use strict'
+
+// Upper bounds in ms of the latency histogram buckets
+const LATENCY_BUCKETS = [50, 100, 250, 500, 1000, 2500, 5000, Infinity];
+
+function emptyEndpointStats() {
+  return {
+    requests: 0,
+    errors: 0,
+    retries: 0,
+    cacheHits: 0,
+    cacheMisses: 0,
+    latency: {
+      count: 0,
+      total: 0,
+      min: undefined,
+      max: undefined,
+      buckets: LATENCY_BUCKETS.map(() => 0)
+    }
+  };
+}
+
+class Metrics {
+
+  /**
+   * Counters and latency histograms fed by the events of a GW2API client
+   * @class Metrics
+   * @constructor
+   * @param {GW2API} gw2api
+   */
+  constructor(gw2api) {
+    this.reset();
+
+    gw2api.on('response', event => this._update(event.path, (stats) => {
+      stats.requests++;
+      this._recordLatency(stats.latency, event.duration);
+    }));
+    gw2api.on('requestError', event => this._update(event.path, (stats) => {
+      stats.requests++;
+      stats.errors++;
+    }));
+    gw2api.on('retry', event => this._update(event.path, (stats) => {
+      stats.retries++;
+    }));
+    gw2api.on('cacheHit', event => this._update(event.path, (stats) => {
+      stats.cacheHits += event.count;
+    }));
+    gw2api.on('cacheMiss', event => this._update(event.path, (stats) => {
+      stats.cacheMisses += event.count;
+    }));
+  }
+
+  _update(path, update) {
+    if (!this.endpoints[path])
+      this.endpoints[path] = emptyEndpointStats();
+
+    update(this.total);
+    update(this.endpoints[path]);
+  }
+
+  _recordLatency(latency, duration) {
+    latency.count++;
+    latency.total += duration;
+    latency.min = latency.min === undefined ? duration : Math.min(latency.min, duration);
+    latency.max = latency.max === undefined ? duration : Math.max(latency.max, duration);
+
+    for (var i = 0; i < LATENCY_BUCKETS.length; i++) {
+      if (duration <= LATENCY_BUCKETS[i]) {
+        latency.buckets[i]++;
+        break;
+      }
+    }
+  }
+
+  _summary(endpointStats) {
+    var latency = endpointStats.latency;
+    var lookups = endpointStats.cacheHits + endpointStats.cacheMisses;
+
+    return {
+      requests: endpointStats.requests,
+      errors: endpointStats.errors,
+      retries: endpointStats.retries,
+      cacheHits: endpointStats.cacheHits,
+      cacheMisses: endpointStats.cacheMisses,
+      cacheHitRate: lookups > 0 ? endpointStats.cacheHits / lookups : undefined,
+      latency: {
+        min: latency.min,
+        max: latency.max,
+        mean: latency.count > 0 ? latency.total / latency.count : undefined,
+        histogram: LATENCY_BUCKETS.map((bound, i) => ({ le: bound, count: latency.buckets[i] }))
+      }
+    };
+  }
+
+  /**
+   * @return {Object} The totals and the stats of each endpoint path
+   */
+  summary() {
+    var endpoints = {};
+
+    Object.keys(this.endpoints).forEach((path) => {
+      endpoints[path] = this._summary(this.endpoints[path]);
+    });
+
+    return Object.assign(this._summary(this.total), { endpoints: endpoints });
+  }
+
+  /**
+   * Sets every counter back to 0
+   */
+  reset() {
+    this.total = emptyEndpointStats();
+    this.endpoints = {};
+  }
+}
+
+module.exports = Metrics;
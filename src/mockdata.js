@@ -0,0 +1,115 @@
+'use strict'
+
+// Seed data of the MockServer: a handful of objects per endpoint, shaped like the real v2 responses
+
+const ACCOUNT_ID = '5B6A1B32-9C1E-E511-8FB9-AC162DC05865';
+
+module.exports = {
+  data: {
+    'build': { id: 76706 },
+    'items': [
+      { id: 19684, name: 'Mithril Ingot', type: 'CraftingMaterial', rarity: 'Basic', level: 0, vendor_value: 8, flags: [] },
+      { id: 19700, name: 'Mithril Ore', type: 'CraftingMaterial', rarity: 'Basic', level: 0, vendor_value: 3, flags: [] },
+      { id: 19721, name: 'Glob of Ectoplasm', type: 'CraftingMaterial', rarity: 'Exotic', level: 0, vendor_value: 40, flags: [] },
+      { id: 24295, name: 'Vial of Powerful Blood', type: 'CraftingMaterial', rarity: 'Rare', level: 0, vendor_value: 25, flags: [] },
+      { id: 46731, name: 'Pharus', type: 'Weapon', rarity: 'Legendary', level: 80, vendor_value: 100000, flags: ['AccountBound', 'NoSell'] },
+      { id: 19674, name: 'Gift of Mastery', type: 'Trophy', rarity: 'Legendary', level: 0, vendor_value: 0, flags: ['AccountBound', 'NoSell'] }
+    ],
+    'recipes': [
+      { id: 19, type: 'Refinement', output_item_id: 19684, output_item_count: 1, disciplines: ['Armorsmith', 'Weaponsmith'], ingredients: [{ item_id: 19700, count: 2 }] },
+      { id: 20, type: 'Refinement', output_item_id: 19684, output_item_count: 1, disciplines: ['Huntsman'], ingredients: [{ item_id: 19700, count: 3 }] },
+      {
+        id: 7000,
+        type: 'LongBow',
+        output_item_id: 46731,
+        output_item_count: 1,
+        disciplines: ['Huntsman'],
+        ingredients: [{ item_id: 19684, count: 10 }, { item_id: 19721, count: 5 }, { item_id: 19674, count: 1 }]
+      }
+    ],
+    'worlds': [
+      { id: 1001, name: 'Anvil Rock', population: 'Medium' },
+      { id: 1002, name: 'Borlis Pass', population: 'Medium' },
+      { id: 2001, name: 'Fissure of Woe', population: 'Full' }
+    ],
+    'skins': [
+      { id: 6047, name: 'Pharus', type: 'Weapon', rarity: 'Legendary', flags: [], restrictions: [] }
+    ],
+    'colors': [
+      { id: 1, name: 'Dye Remover' },
+      { id: 1148, name: 'Abyss' }
+    ],
+    'currencies': [
+      { id: 1, name: 'Coin', order: 101 },
+      { id: 2, name: 'Karma', order: 102 },
+      { id: 4, name: 'Gem', order: 103 }
+    ],
+    'commerce/prices': [
+      { id: 19684, whitelisted: false, buys: { quantity: 10000, unit_price: 40 }, sells: { quantity: 20000, unit_price: 45 } },
+      { id: 19700, whitelisted: false, buys: { quantity: 50000, unit_price: 8 }, sells: { quantity: 90000, unit_price: 10 } },
+      { id: 19721, whitelisted: false, buys: { quantity: 30000, unit_price: 2500 }, sells: { quantity: 15000, unit_price: 2650 } },
+      { id: 24295, whitelisted: false, buys: { quantity: 8000, unit_price: 1200 }, sells: { quantity: 6000, unit_price: 1350 } }
+    ],
+    'account': {
+      id: ACCOUNT_ID,
+      name: 'Mock.1234',
+      world: 1001,
+      guilds: [],
+      created: '2015-08-28T00:00:00Z',
+      access: ['GuildWars2', 'HeartOfThorns', 'PathOfFire']
+    },
+    'account/wallet': [
+      { id: 1, value: 1250000 },
+      { id: 2, value: 84000 },
+      { id: 4, value: 400 }
+    ],
+    'account/bank': [
+      { id: 19721, count: 25 },
+      null,
+      { id: 46731, count: 1, binding: 'Account' }
+    ],
+    'account/inventory': [
+      { id: 24295, count: 10 },
+      { id: 19721, count: 2, binding: 'Account' }
+    ],
+    'account/materials': [
+      { id: 19700, category: 5, count: 250 },
+      { id: 19684, category: 5, count: 40 }
+    ],
+    'commerce/transactions/current/buys': [
+      { id: 4101, item_id: 19700, price: 7, quantity: 100, created: '2016-05-01T10:00:00+00:00' }
+    ],
+    'commerce/transactions/current/sells': [
+      { id: 4102, item_id: 19721, price: 2700, quantity: 5, created: '2016-05-01T11:00:00+00:00' }
+    ],
+    'characters': [
+      {
+        name: 'Mock Warrior',
+        race: 'Norn',
+        profession: 'Warrior',
+        level: 80,
+        equipment: [
+          { id: 46731, slot: 'WeaponA1', skin: 6047, upgrades: [24295], dyes: [1148, null, null, null], binding: 'Account' }
+        ],
+        bags: [
+          { id: 19684, size: 20, inventory: [{ id: 19700, count: 250 }, null] }
+        ]
+      },
+      { name: 'Mock Mesmer', race: 'Sylvari', profession: 'Mesmer', level: 80 }
+    ]
+  },
+
+  // API keys known to the server, with the permissions tokeninfo reports
+  keys: {
+    'MOCK-FULL-KEY': {
+      id: 'MOCK-FULL-KEY',
+      name: 'full access',
+      permissions: ['account', 'builds', 'characters', 'guilds', 'inventories', 'progression', 'pvp', 'tradingpost', 'unlocks', 'wallet']
+    },
+    'MOCK-ACCOUNT-KEY': {
+      id: 'MOCK-ACCOUNT-KEY',
+      name: 'account only',
+      permissions: ['account']
+    }
+  }
+};
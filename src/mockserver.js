@@ -0,0 +1,281 @@
+'use strict'
+const http = require('http');
+const URL = require('url');
+const matchPathPattern = require('./pathpattern');
+const permissions = require('./permissions');
+const mockdata = require('./mockdata');
+
+const MAX_PAGE_SIZE = 200;
+const DEFAULT_PAGE_SIZE = 50;
+
+// Endpoints whose arrays are answered as is, without ids or pagination
+const PLAIN_LIST_ENDPOINTS = [
+  'account/*',
+  'guild/*/*'
+];
+
+// Endpoints paging their objects without ids, requests without page parameters get the first page
+const PAGED_LIST_ENDPOINTS = [
+  'commerce/transactions/*/*'
+];
+
+const STATUS_TEXTS = {
+  429: 'too many requests',
+  500: 'internal server error',
+  502: 'bad gateway',
+  503: 'service unavailable',
+  504: 'gateway timeout'
+};
+
+function idOf(object) {
+  return object.id !== undefined ? object.id : object.name;
+}
+
+class MockServer {
+
+  /**
+   * Local HTTP server emulating the v2 endpoints from seed data, so the client can be
+   * tested without the real API: ids, id, page and page_size parameters, pagination headers,
+   * 206 partial responses, API key authentication and permissions, rate limiting.
+   * @class MockServer
+   * @constructor
+   * @param {Object} [options]
+   * @param {Object} [options.data] Responses keyed by endpoint path. Arrays are collections of objects
+   * identified by `id` (or `name`), anything else is returned as is. Defaults to the bundled seed data
+   * @param {Object} [options.keys] tokeninfo objects keyed by API key. Defaults to the bundled seed keys
+   * @param {Object} [options.rateLimit] { bucketSize, refillRate } answering 429 once the bucket is empty,
+   * unlimited by default
+   * @param {String} [options.basePath] Defaults to '/v2'
+   */
+  constructor(options = {}) {
+    this.data = options.data || mockdata.data;
+    this.keys = options.keys || mockdata.keys;
+    this.basePath = options.basePath || '/v2';
+    this.rateLimit = options.rateLimit;
+    this.tokens = this.rateLimit ? this.rateLimit.bucketSize : undefined;
+    this.lastRefill = Date.now();
+
+    // Status codes forced on the next requests, see failNext
+    this.failures = [];
+    // { path, qs, apiKey } of every request received
+    this.requests = [];
+
+    this.server = http.createServer((req, res) => this._handle(req, res));
+  }
+
+  /**
+   * Starts listening
+   * @param {Number} [port] Defaults to a random free port
+   * @param {String} [host] Defaults to 127.0.0.1
+   * @return {Promise} Resolves with the base URL to configure the client with
+   */
+  listen(port, host) {
+    host = host || '127.0.0.1';
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port || 0, host, () => {
+        this.server.removeListener('error', reject);
+        resolve(this.baseURL());
+      });
+    });
+  }
+
+  /**
+   * @return {String} Base URL of the running server
+   */
+  baseURL() {
+    var address = this.server.address();
+
+    return `http://${address.address}:${address.port}${this.basePath}`;
+  }
+
+  /**
+   * Stops listening
+   * @return {Promise}
+   */
+  close() {
+    return new Promise((resolve, reject) => {
+      this.server.close(error => error ? reject(error) : resolve());
+    });
+  }
+
+  /**
+   * Answers the next requests with an error status, e.g. to exercise retries
+   * @param {Number} statusCode
+   * @param {Number} [count] Number of requests to fail. Defaults to 1
+   */
+  failNext(statusCode, count) {
+    for (var i = 0; i < (count || 1); i++)
+      this.failures.push(statusCode);
+  }
+
+  _send(res, statusCode, body, headers) {
+    res.writeHead(statusCode, Object.assign({ 'Content-Type': 'application/json; charset=utf-8' }, headers));
+    res.end(JSON.stringify(body));
+  }
+
+  _error(res, statusCode, text) {
+    this._send(res, statusCode, { text: text });
+  }
+
+  _takeToken() {
+    if (!this.rateLimit)
+      return true;
+
+    var now = Date.now();
+    this.tokens = Math.min(this.rateLimit.bucketSize, this.tokens + (now - this.lastRefill) / 1000 * this.rateLimit.refillRate);
+    this.lastRefill = now;
+
+    if (this.tokens < 1)
+      return false;
+
+    this.tokens--;
+    return true;
+  }
+
+  _apiKey(req, qs) {
+    var authorization = req.headers['authorization'];
+
+    if (authorization)
+      return authorization.replace(/^Bearer /, '');
+
+    return qs.access_token;
+  }
+
+  _handle(req, res) {
+    var url = URL.parse(req.url, true);
+    var qs = url.query;
+    var apiKey = this._apiKey(req, qs);
+
+    if (url.pathname.indexOf(`${this.basePath}/`) !== 0)
+      return this._error(res, 404, 'not found');
+
+    var path = url.pathname.slice(this.basePath.length + 1).replace(/\/$/, '');
+    this.requests.push({ path: path, qs: qs, apiKey: apiKey });
+
+    if (this.failures.length > 0) {
+      var statusCode = this.failures.shift();
+      return this._error(res, statusCode, STATUS_TEXTS[statusCode] || 'error');
+    }
+
+    if (!this._takeToken())
+      return this._error(res, 429, STATUS_TEXTS[429]);
+
+    var required = permissions.requiredPermissions(path);
+
+    if (required.length > 0 || path === 'tokeninfo') {
+      var key = apiKey !== undefined ? this.keys[apiKey] : undefined;
+
+      if (!key)
+        return this._error(res, 401, 'Invalid access token');
+
+      var missing = required.filter(permission => key.permissions.indexOf(permission) === -1);
+
+      if (missing.length > 0)
+        return this._error(res, 403, `requires scope ${missing[0]}`);
+
+      if (path === 'tokeninfo')
+        return this._send(res, 200, key);
+    }
+
+    if (path === 'recipes/search')
+      return this._recipeSearch(res, qs);
+
+    var data = this.data[path];
+
+    if (data === undefined)
+      return this._error(res, 404, 'not found');
+
+    if (!(data instanceof Array) || PLAIN_LIST_ENDPOINTS.some(pattern => matchPathPattern(pattern, path)))
+      return this._send(res, 200, data);
+
+    if (PAGED_LIST_ENDPOINTS.some(pattern => matchPathPattern(pattern, path)))
+      return this._page(res, data, qs);
+
+    this._collection(res, data, qs);
+  }
+
+  _recipeSearch(res, qs) {
+    var itemId = Number(qs.input !== undefined ? qs.input : qs.output);
+
+    if (Number.isNaN(itemId))
+      return this._error(res, 400, 'missing input or output parameter');
+
+    var recipes = (this.data.recipes || []).filter((recipe) => {
+      if (qs.output !== undefined)
+        return recipe.output_item_id === itemId;
+
+      return recipe.ingredients.some(ingredient => ingredient.item_id === itemId);
+    });
+
+    this._send(res, 200, recipes.map(recipe => recipe.id));
+  }
+
+  _collection(res, objects, qs) {
+    var totalHeaders = { 'X-Result-Total': objects.length };
+
+    if (qs.id !== undefined) {
+      var object = objects.filter(object => String(idOf(object)) === qs.id)[0];
+
+      return object ? this._send(res, 200, object) : this._error(res, 404, 'no such id');
+    }
+
+    if (qs.ids !== undefined) {
+      if (qs.ids === 'all') {
+        if (objects.length > MAX_PAGE_SIZE)
+          return this._error(res, 400, 'the all keyword is not supported on this endpoint');
+
+        return this._send(res, 200, objects, Object.assign({ 'X-Result-Count': objects.length }, totalHeaders));
+      }
+
+      var ids = qs.ids.split(',');
+
+      if (ids.length > MAX_PAGE_SIZE)
+        return this._error(res, 400, `id list too long; this endpoint is limited to ${MAX_PAGE_SIZE} ids at once`);
+
+      var found = objects.filter(object => ids.indexOf(String(idOf(object))) !== -1);
+
+      if (found.length === 0)
+        return this._error(res, 404, 'all ids provided are invalid');
+
+      return this._send(res, found.length < ids.length ? 206 : 200, found,
+        Object.assign({ 'X-Result-Count': found.length }, totalHeaders));
+    }
+
+    if (qs.page !== undefined || qs.page_size !== undefined)
+      return this._page(res, objects, qs);
+
+    this._send(res, 200, objects.map(idOf), Object.assign({ 'X-Result-Count': objects.length }, totalHeaders));
+  }
+
+  _page(res, objects, qs) {
+    var pageSize = qs.page_size !== undefined ? Number(qs.page_size) : DEFAULT_PAGE_SIZE;
+
+    if (!(pageSize >= 1 && pageSize <= MAX_PAGE_SIZE))
+      return this._error(res, 400, `page_size out of range. Use values 1 - ${MAX_PAGE_SIZE}`);
+
+    var page = qs.page !== undefined ? Number(qs.page) : 0;
+    var pageTotal = Math.max(1, Math.ceil(objects.length / pageSize));
+
+    if (!(page >= 0 && page < pageTotal))
+      return this._error(res, 400, `page out of range. Use values 0 - ${pageTotal - 1}`);
+
+    var pageObjects = objects.slice(page * pageSize, (page + 1) * pageSize);
+
+    this._send(res, 200, pageObjects, {
+      'X-Page-Size': pageSize,
+      'X-Page-Total': pageTotal,
+      'X-Result-Count': pageObjects.length,
+      'X-Result-Total': objects.length
+    });
+  }
+}
+
+module.exports = MockServer;
+
+if (require.main === module) {
+  new MockServer().listen(process.env.PORT || 3000, process.env.HOST).then(baseURL => {
+    console.log(`Mock GW2 API listening on ${baseURL}`);
+  });
+}
@@ -0,0 +1,128 @@
+'use strict'
+
+class PageIterator {
+
+  /**
+   * Async iterator over every object of a paged endpoint.
+   * Pages are requested one at a time, as they are consumed, until the
+   * X-Page-Total header reports the last page or the limit is reached.
+   * @class PageIterator
+   * @constructor
+   * @param {GW2API} gw2api
+   * @param {String} path API request path
+   * @param {Object} [options]
+   * @param {Number} [options.pageSize] Objects per page request. Defaults to 200
+   * @param {Number} [options.page] First page to request. Defaults to 0
+   * @param {Number} [options.limit] Stop after this many objects
+   * @param {Object} [options.params] Additional parameters for each page request
+   * @param {String} [options.lang] Language of the objects. Defaults to config.defaultLang
+   * @param {String} [options.apiKey] The API Key for authenticated endpoints
+   * @param {AbortSignal} [options.signal] Cancels the page requests, pending ones reject with an AbortError
+   * @param {Number} [options.timeout] Timeout in ms of each page request
+   */
+  constructor(gw2api, path, options = {}) {
+    this.gw2api = gw2api;
+    this.path = path;
+    this.pageSize = options.pageSize || 200;
+    this.page = options.page || 0;
+    this.limit = options.limit;
+    this.params = options.params || {};
+    this.apiKey = options.apiKey;
+    this.lang = options.lang;
+    this.requestOptions = {
+      signal: options.signal,
+      timeout: options.timeout
+    };
+
+    this.buffer = [];
+    this.count = 0;
+    this.pageTotal = undefined;
+    this.finished = false;
+    this.pending = Promise.resolve();
+    this.permissionCheck = undefined;
+  }
+
+  _fetchPage() {
+    var params = Object.assign({}, this.params, {
+      page: this.page,
+      page_size: this.pageSize
+    });
+
+    if (!params.lang)
+      params.lang = this.lang || this.gw2api.config.defaultLang;
+
+    // Keys missing a permission are rejected locally before the first page, like the get* methods
+    if (!this.permissionCheck)
+      this.permissionCheck = this.gw2api._checkPermissions(this.path, this.apiKey, this.requestOptions);
+
+    return this.permissionCheck.then(() => {
+      return this.gw2api._request(this.path, params, this.apiKey, this.requestOptions);
+    }).then(result => {
+      this.page++;
+      this.pageTotal = result.meta.pageTotal;
+      this.buffer = result.data instanceof Array ? result.data : [result.data];
+
+      if (this.buffer.length === 0 || this.pageTotal === undefined || this.page >= this.pageTotal)
+        this.finished = true;
+    });
+  }
+
+  _next() {
+    if (this.limit !== undefined && this.count >= this.limit) {
+      this.finished = true;
+      this.buffer = [];
+    }
+
+    if (this.buffer.length > 0) {
+      this.count++;
+      return Promise.resolve({ value: this.buffer.shift(), done: false });
+    }
+
+    if (this.finished)
+      return Promise.resolve({ value: undefined, done: true });
+
+    return this._fetchPage().then(() => this._next());
+  }
+
+  /**
+   * @return {Promise} Resolves with { value, done }
+   */
+  next() {
+    this.pending = this.pending.then(() => this._next());
+    return this.pending;
+  }
+
+  /**
+   * Stops the iteration, called by `break` inside a for await loop
+   * @return {Promise}
+   */
+  return() {
+    this.finished = true;
+    this.buffer = [];
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  /**
+   * Collects every remaining object
+   * @return {Promise} Resolves with an Array
+   */
+  toArray() {
+    var items = [];
+
+    var collect = () => this.next().then(result => {
+      if (result.done)
+        return items;
+
+      items.push(result.value);
+      return collect();
+    });
+
+    return collect();
+  }
+}
+
+module.exports = PageIterator;
@@ -0,0 +1,15 @@
+'use strict'
+
+/**
+ * Tells if an endpoint path matches a pattern, where `*` matches any characters
+ * @param {String} pattern e.g. 'account/*'
+ * @param {String} path
+ * @return {Boolean}
+ */
+function matchPathPattern(pattern, path) {
+  var source = pattern.split('*').map(part => part.replace(/[.?+^$()[\]{}|\\]/g, '\\$&')).join('.*');
+
+  return new RegExp(`^${source}$`).test(path);
+}
+
+module.exports = matchPathPattern;
@@ -0,0 +1,50 @@
+'use strict'
+const matchPathPattern = require('./pathpattern');
+const endpoints = require('./endpoints');
+
+// API key permissions required by each authenticated endpoint, by path pattern
+const ENDPOINT_PERMISSIONS = {};
+// Endpoint path pattern requested by each authenticated method of GW2API
+const METHOD_ENDPOINTS = {};
+
+endpoints.ENDPOINTS.filter(endpoint => endpoint.auth).forEach((endpoint) => {
+  var pattern = endpoints.pathPattern(endpoint);
+
+  if (endpoint.permissions)
+    ENDPOINT_PERMISSIONS[pattern] = endpoint.permissions;
+
+  endpoints.methodNames(endpoint).forEach((method) => {
+    METHOD_ENDPOINTS[method] = pattern;
+  });
+});
+
+// Character sub-endpoints, e.g. characters/:id/inventory, requested through iterate or all
+ENDPOINT_PERMISSIONS['characters/*'] = ['account', 'characters'];
+
+/**
+ * Permissions an endpoint requires from the API key
+ * @param {String} path API request path
+ * @return {Array} Permission names, empty for public endpoints
+ */
+function requiredPermissions(path) {
+  var pattern = Object.keys(ENDPOINT_PERMISSIONS).filter(pattern => matchPathPattern(pattern, path))[0];
+
+  return pattern ? ENDPOINT_PERMISSIONS[pattern] : [];
+}
+
+/**
+ * Permissions an endpoint requires and the key lacks
+ * @param {String} path API request path
+ * @param {Array} permissions Permissions of the key, as reported by tokeninfo
+ * @return {Array}
+ */
+function missingPermissions(path, permissions) {
+  return requiredPermissions(path).filter(permission => permissions.indexOf(permission) === -1);
+}
+
+module.exports = {
+  ENDPOINT_PERMISSIONS: ENDPOINT_PERMISSIONS,
+  METHOD_ENDPOINTS: METHOD_ENDPOINTS,
+  requiredPermissions: requiredPermissions,
+  missingPermissions: missingPermissions
+};
@@ -0,0 +1,288 @@
+'use strict'
+const path = require('path');
+const fsutils = require('./fsutils');
+
+const readJSON = fsutils.readJSON;
+
+// Items sharing a file, by id
+const BUCKET_SIZE = 1000;
+
+// Time covered by a file, in ms
+const SEGMENT_DURATION = 24 * 3600 * 1000;
+
+// prices.<bucket>.<segment>.jsonl
+const SEGMENT_FILE = /^prices\.(\d+)\.(\d+)\.jsonl$/;
+
+// Position of each field in a stored price
+const FIELDS = { buy: 0, sell: 1, demand: 2, supply: 3 };
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function standardDeviation(values) {
+  var average = mean(values);
+
+  return Math.sqrt(mean(values.map(value => (value - average) * (value - average))));
+}
+
+class PriceHistory {
+
+  /**
+   * Time series of trading post prices kept on disk. Each snapshot adds a point per item:
+   * its highest buy order, lowest sell offer, demand and supply. A snapshot is appended as one line
+   * to the file of each range of 1000 ids and day it covers, files are read when queried and never kept
+   * in memory. Points older than the retention are left out, and the files holding only such points
+   * are deleted when new ones are recorded, whichever items they hold.
+   * @class PriceHistory
+   * @constructor
+   * @param {Object} options
+   * @param {String} options.directory Directory where the files are written
+   * @param {Number} [options.retention] Seconds points are kept. Defaults to 30 days
+   */
+  constructor(options) {
+    this.directory = options.directory;
+    this.retention = options.retention || 30 * 24 * 3600;
+
+    this.appends = {};
+    this.writer = fsutils.queuedWriter();
+  }
+
+  _segmentFileName(bucket, segment) {
+    return path.join(this.directory, `prices.${bucket}.${segment}.jsonl`);
+  }
+
+  _stateFileName() {
+    return path.join(this.directory, 'prices.json');
+  }
+
+  /**
+   * Files of the directory holding points
+   * @private
+   * @return {Promise} Resolves with an Array of { fileName, bucket, segment }
+   */
+  _segments() {
+    return fsutils.listFiles(this.directory).then((fileNames) => {
+      return fileNames
+        .map(fileName => SEGMENT_FILE.exec(fileName))
+        .filter(match => match)
+        .map(match => ({ fileName: path.join(this.directory, match[0]), bucket: Number(match[1]), segment: Number(match[2]) }));
+    });
+  }
+
+  /**
+   * Time of the latest snapshot, which the retention is counted from
+   * @private
+   * @return {Promise} Resolves with the time in ms, undefined before the first snapshot
+   */
+  _latest() {
+    if (this.latest !== undefined)
+      return Promise.resolve(this.latest);
+
+    return readJSON(this._stateFileName()).then(state => state && state.latest);
+  }
+
+  /**
+   * Appends a line to a file, one append at a time per file
+   * @private
+   * @param {String} fileName
+   * @param {Object} line
+   * @return {Promise}
+   */
+  _append(fileName, line) {
+    var previous = this.appends[fileName] || Promise.resolve();
+    var pending = previous.then(() => fsutils.appendJSONLine(fileName, line));
+    var settled = pending.catch(() => undefined).then(() => {
+      if (this.appends[fileName] === settled)
+        delete this.appends[fileName];
+    });
+
+    this.appends[fileName] = settled;
+
+    return pending;
+  }
+
+  /**
+   * Deletes the files holding only points older than the retention
+   * @private
+   * @param {Number} latest Time of the latest snapshot in ms
+   * @return {Promise}
+   */
+  _prune(latest) {
+    var expired = Math.floor((latest - this.retention * 1000) / SEGMENT_DURATION);
+
+    // Nothing expired since the last pruning
+    if (expired === this.expired)
+      return Promise.resolve();
+
+    this.expired = expired;
+
+    return this._segments().then((segments) => {
+      return Promise.all(segments
+        .filter(segment => segment.segment < expired)
+        .map(segment => fsutils.removeFile(segment.fileName)));
+    });
+  }
+
+  /**
+   * Adds a snapshot of prices
+   * @param {Array} prices commerce/prices objects
+   * @param {Number} [time] Time of the snapshot in ms. Defaults to now
+   * @return {Promise}
+   */
+  record(prices, time) {
+    time = time !== undefined ? time : Date.now();
+
+    var segment = Math.floor(time / SEGMENT_DURATION);
+    var byBucket = {};
+
+    prices.forEach((price) => {
+      var bucket = Math.floor(price.id / BUCKET_SIZE);
+
+      byBucket[bucket] = byBucket[bucket] || {};
+      byBucket[bucket][price.id] = [price.buys.unit_price, price.sells.unit_price, price.buys.quantity, price.sells.quantity];
+    });
+
+    return Promise.all(Object.keys(byBucket).map((bucket) => {
+      return this._append(this._segmentFileName(bucket, segment), { time: time, items: byBucket[bucket] });
+    })).then(() => this._latest()).then((latest) => {
+      this.latest = latest !== undefined ? Math.max(latest, time) : time;
+
+      return Promise.all([
+        this.writer.write(this._stateFileName(), () => ({ latest: this.latest })),
+        this._prune(this.latest)
+      ]);
+    }).then(() => undefined);
+  }
+
+  /**
+   * Points of an item, oldest first
+   * @param {Number} id Item id
+   * @param {Object} [options]
+   * @param {Number} [options.since] Oldest time in ms
+   * @param {Number} [options.until] Latest time in ms
+   * @return {Promise} Resolves with an Array of { time, buy, sell, demand, supply }
+   */
+  series(id, options = {}) {
+    var bucket = Math.floor(id / BUCKET_SIZE);
+    var since = options.since !== undefined ? options.since : -Infinity;
+    var until = options.until !== undefined ? options.until : Infinity;
+
+    return Promise.all([this._latest(), this._segments()]).then((results) => {
+      if (results[0] !== undefined)
+        since = Math.max(since, results[0] - this.retention * 1000);
+
+      return Promise.all(results[1]
+        .filter(segment => segment.bucket === bucket &&
+          (segment.segment + 1) * SEGMENT_DURATION > since && segment.segment * SEGMENT_DURATION <= until)
+        .map(segment => fsutils.readJSONLines(segment.fileName)));
+    }).then((segments) => {
+      var points = [];
+
+      segments.forEach(lines => lines.forEach((line) => {
+        var price = line.items[id];
+
+        if (!price || line.time < since || line.time > until)
+          return;
+
+        var point = { time: line.time };
+
+        Object.keys(FIELDS).forEach(field => point[field] = price[FIELDS[field]]);
+        points.push(point);
+      }));
+
+      return points.sort((a, b) => a.time - b.time);
+    });
+  }
+
+  /**
+   * Values of a price field over a window, skipping points without orders
+   * @param {Number} id Item id
+   * @param {Object} options See stats
+   * @return {Promise} Resolves with an Array of { time, value }
+   */
+  _values(id, options) {
+    var field = options.field || 'sell';
+    var until = options.until !== undefined ? options.until : Date.now();
+    var window = options.window !== undefined ? options.window : 7 * 24 * 3600;
+
+    if (field !== 'buy' && field !== 'sell')
+      return Promise.reject(new Error(`Unknown price field ${field}, expected buy or sell`));
+
+    return this.series(id, { since: until - window * 1000, until: until }).then((points) => {
+      return points
+        .filter(point => point[field] > 0)
+        .map(point => ({ time: point.time, value: point[field] }));
+    });
+  }
+
+  /**
+   * Trend statistics of an item's price over a window
+   * @param {Number} id Item id
+   * @param {Object} [options]
+   * @param {String} [options.field] 'sell' for the lowest sell offer or 'buy' for the highest buy order. Defaults to 'sell'
+   * @param {Number} [options.window] Seconds before `until` covered. Defaults to 7 days
+   * @param {Number} [options.until] End of the window in ms. Defaults to now
+   * @return {Promise} Resolves with { id, field, count, from, to, latest, average, min, max, volatility, change, deviation },
+   * undefined without points in the window. volatility and change are percentages, deviation is the number of
+   * standard deviations between the latest price and the average
+   */
+  stats(id, options = {}) {
+    return this._values(id, options).then((points) => {
+      if (points.length === 0)
+        return;
+
+      var values = points.map(point => point.value);
+      var first = values[0];
+      var latest = values[values.length - 1];
+      var average = mean(values);
+      var spread = standardDeviation(values);
+      var returns = values.slice(1).map((value, i) => (value - values[i]) / values[i] * 100);
+
+      return {
+        id: id,
+        field: options.field || 'sell',
+        count: values.length,
+        from: points[0].time,
+        to: points[points.length - 1].time,
+        latest: latest,
+        average: average,
+        min: Math.min.apply(Math, values),
+        max: Math.max.apply(Math, values),
+        volatility: returns.length > 0 ? standardDeviation(returns) : 0,
+        change: (latest - first) / first * 100,
+        deviation: spread > 0 ? (latest - average) / spread : 0
+      };
+    });
+  }
+
+  /**
+   * Trailing moving average of an item's price at each point of a window
+   * @param {Number} id Item id
+   * @param {Object} [options] Same options as stats
+   * @param {Number} [options.period] Seconds averaged at each point. Defaults to 1 day
+   * @return {Promise} Resolves with an Array of { time, value }
+   */
+  movingAverage(id, options = {}) {
+    var period = (options.period !== undefined ? options.period : 24 * 3600) * 1000;
+    var window = options.window !== undefined ? options.window : 7 * 24 * 3600;
+    var until = options.until !== undefined ? options.until : Date.now();
+
+    // Points of the period before the window are needed for the first averages
+    var extended = Object.assign({}, options, { window: window + period / 1000, until: until });
+
+    return this._values(id, extended).then((points) => {
+      return points
+        .filter(point => point.time >= until - window * 1000)
+        .map((point) => {
+          var values = points
+            .filter(other => other.time > point.time - period && other.time <= point.time)
+            .map(other => other.value);
+
+          return { time: point.time, value: mean(values) };
+        });
+    });
+  }
+}
+
+module.exports = PriceHistory;
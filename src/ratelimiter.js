@@ -0,0 +1,68 @@
+'use strict'
+
+class RateLimiter {
+
+  /**
+   * Token bucket limiting how many requests can be sent.
+   * The bucket starts full, every request takes a token and tokens are refilled over time.
+   * @class RateLimiter
+   * @constructor
+   * @param {Object} [options]
+   * @param {Number} [options.bucketSize] Max number of tokens, i.e. the allowed burst. Defaults to 300
+   * @param {Number} [options.refillRate] Tokens added per second. Defaults to 5
+   */
+  constructor(options = {}) {
+    this.bucketSize = options.bucketSize || 300;
+    this.refillRate = options.refillRate || 5;
+    this.tokens = this.bucketSize;
+    this.lastRefill = Date.now();
+    this.queue = [];
+    this.timer = null;
+  }
+
+  _refill() {
+    var now = Date.now();
+    var elapsed = (now - this.lastRefill) / 1000;
+
+    this.tokens = Math.min(this.bucketSize, this.tokens + elapsed * this.refillRate);
+    this.lastRefill = now;
+  }
+
+  _drain() {
+    this.timer = null;
+    this._refill();
+
+    while (this.queue.length > 0 && this.tokens >= 1) {
+      this.tokens -= 1;
+      this.queue.shift()();
+    }
+
+    if (this.queue.length > 0) {
+      var wait = Math.ceil((1 - this.tokens) / this.refillRate * 1000);
+      this.timer = setTimeout(() => this._drain(), wait);
+    }
+  }
+
+  /**
+   * Waits for a token to be available and takes it
+   * @return {Promise} Resolves when the request can be sent
+   */
+  acquire() {
+    return new Promise((resolve) => {
+      this.queue.push(resolve);
+
+      if (!this.timer)
+        this._drain();
+    });
+  }
+
+  /**
+   * Empties the bucket, e.g. after the API answered with a 429
+   */
+  empty() {
+    this._refill();
+    this.tokens = 0;
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,66 @@
+'use strict'
+
+// A subset of JSON schema: type, enum, properties, required and items
+
+function typeOf(value) {
+  if (value === null)
+    return 'null';
+
+  if (value instanceof Array)
+    return 'array';
+
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  if (type === 'integer')
+    return Number.isInteger(value);
+
+  return typeOf(value) === type;
+}
+
+/**
+ * Checks a value against a schema
+ * @param {Object} schema
+ * @param {*} value
+ * @param {String} [path] Path of the value in the response, used in the reported errors. Defaults to 'data'
+ * @return {Array} { path, message } of every mismatch, empty when the value is valid
+ */
+function validate(schema, value, path) {
+  path = path || 'data';
+
+  var errors = [];
+  var types = schema.type instanceof Array ? schema.type : (schema.type ? [schema.type] : []);
+
+  if (types.length > 0 && !types.some(type => matchesType(type, value))) {
+    errors.push({ path: path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+    return errors;
+  }
+
+  if (schema.enum && schema.enum.indexOf(value) === -1)
+    errors.push({ path: path, message: `expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}` });
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach((property) => {
+      if (value[property] === undefined)
+        errors.push({ path: `${path}.${property}`, message: 'missing required property' });
+    });
+
+    Object.keys(schema.properties || {}).forEach((property) => {
+      if (value[property] !== undefined)
+        errors = errors.concat(validate(schema.properties[property], value[property], `${path}.${property}`));
+    });
+  }
+
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, i) => {
+      errors = errors.concat(validate(schema.items, item, `${path}[${i}]`));
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validate: validate
+};
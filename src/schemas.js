@@ -0,0 +1,126 @@
+'use strict'
+
+// JSON schemas of the responses checked when config.validate is set, keyed by endpoint registry path.
+// Schemas of collections describe a single object and are checked against each returned object,
+// the other ones describe the whole response. Only the fields relied upon are required.
+
+const integer = { type: 'integer' };
+const string = { type: 'string' };
+const strings = { type: 'array', items: string };
+const quantityPrice = {
+  type: 'object',
+  required: ['quantity', 'unit_price'],
+  properties: { quantity: integer, unit_price: integer }
+};
+const inventorySlot = {
+  type: ['object', 'null'],
+  required: ['id', 'count'],
+  properties: {
+    id: integer,
+    count: integer,
+    binding: { type: 'string', enum: ['Account', 'Character'] }
+  }
+};
+
+module.exports = {
+  'build': {
+    type: 'object',
+    required: ['id'],
+    properties: { id: integer }
+  },
+  'tokeninfo': {
+    type: 'object',
+    required: ['id', 'name', 'permissions'],
+    properties: { id: string, name: string, permissions: strings }
+  },
+  'items': {
+    type: 'object',
+    required: ['id', 'name', 'type', 'rarity', 'level', 'vendor_value', 'flags'],
+    properties: {
+      id: integer,
+      name: string,
+      type: string,
+      rarity: string,
+      level: integer,
+      vendor_value: integer,
+      flags: strings
+    }
+  },
+  'recipes': {
+    type: 'object',
+    required: ['id', 'type', 'output_item_id', 'output_item_count', 'disciplines', 'ingredients'],
+    properties: {
+      id: integer,
+      type: string,
+      output_item_id: integer,
+      output_item_count: integer,
+      disciplines: strings,
+      ingredients: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['item_id', 'count'],
+          properties: { item_id: integer, count: integer }
+        }
+      }
+    }
+  },
+  'commerce/prices': {
+    type: 'object',
+    required: ['id', 'buys', 'sells'],
+    properties: { id: integer, buys: quantityPrice, sells: quantityPrice }
+  },
+  'commerce/listings': {
+    type: 'object',
+    required: ['id', 'buys', 'sells'],
+    properties: {
+      id: integer,
+      buys: { type: 'array', items: quantityPrice },
+      sells: { type: 'array', items: quantityPrice }
+    }
+  },
+  'currencies': {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: { id: integer, name: string }
+  },
+  'worlds': {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: { id: integer, name: string, population: string }
+  },
+  'account': {
+    type: 'object',
+    required: ['id', 'name', 'world'],
+    properties: { id: string, name: string, world: integer, guilds: strings, access: strings }
+  },
+  'account/wallet': {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['id', 'value'],
+      properties: { id: integer, value: integer }
+    }
+  },
+  'account/bank': {
+    type: 'array',
+    items: inventorySlot
+  },
+  'account/inventory': {
+    type: 'array',
+    items: inventorySlot
+  },
+  'account/materials': {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['id', 'category', 'count'],
+      properties: { id: integer, category: integer, count: integer }
+    }
+  },
+  'characters': {
+    type: 'object',
+    required: ['name', 'profession', 'level'],
+    properties: { name: string, profession: string, level: integer }
+  }
+};
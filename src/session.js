@@ -0,0 +1,77 @@
+'use strict'
+const permissions = require('./permissions');
+
+class GW2APISession {
+
+  /**
+   * An API key bound to a GW2API client. Exposes every authenticated method without its apiKey argument,
+   * e.g. session.getCharacters(ids) calls gw2api.getCharacters(apiKey, ids).
+   * The session shares the cache and rate limiter of the client, cache entries and permissions stay per key.
+   * @class GW2APISession
+   * @constructor
+   * @param {GW2API} gw2api
+   * @param {String} apiKey A GW2 API key
+   */
+  constructor(gw2api, apiKey) {
+    this.gw2api = gw2api;
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * Returns which authenticated methods the key can use, see GW2API#getKeyCapabilities
+   * @param {Object} [options] { signal, timeout }
+   * @return {Promise}
+   */
+  getCapabilities(options) {
+    return this.gw2api.getKeyCapabilities(this.apiKey, options);
+  }
+
+  /**
+   * Removes the cached responses of the key, see GW2API#invalidateCache
+   * @param {Object} [filter]
+   * @param {String} [filter.path] Endpoint path or path pattern
+   * @return {Promise}
+   */
+  invalidateCache(filter) {
+    return this.gw2api.invalidateCache(Object.assign({}, filter, { apiKey: this.apiKey }));
+  }
+
+  /**
+   * Iterates over a paged authenticated endpoint, see GW2API#iterate
+   * @param {String} path API request path
+   * @param {Object} [options]
+   * @return {PageIterator}
+   */
+  iterate(path, options) {
+    return this.gw2api.iterate(path, Object.assign({}, options, { apiKey: this.apiKey }));
+  }
+
+  /**
+   * Returns every object of a paged authenticated endpoint, see GW2API#all
+   * @param {String} path API request path
+   * @param {Object} [options]
+   * @return {Promise}
+   */
+  all(path, options) {
+    return this.iterate(path, options).toArray();
+  }
+
+  /**
+   * Returns the liquid value of the account, see GW2API#getAccountValue
+   * @param {Object} [options]
+   * @return {Promise}
+   */
+  getAccountValue(options) {
+    return this.gw2api.getAccountValue(this.apiKey, options);
+  }
+}
+
+Object.keys(permissions.METHOD_ENDPOINTS).forEach((method) => {
+  GW2APISession.prototype[method] = function () {
+    var args = [this.apiKey].concat(Array.prototype.slice.call(arguments));
+
+    return this.gw2api[method].apply(this.gw2api, args);
+  };
+});
+
+module.exports = GW2APISession;
@@ -0,0 +1,190 @@
+'use strict'
+const fs = require('fs');
+const path = require('path');
+const fsutils = require('./fsutils');
+const localization = require('./localization');
+
+const readJSON = fsutils.readJSON;
+const writeJSON = fsutils.writeJSON;
+const mkdirp = fsutils.mkdirp;
+
+class StaticStore {
+
+  /**
+   * Persistent store of static endpoint objects (items, skins...) kept on disk between restarts.
+   * Objects are saved in one JSON file per endpoint and language, tagged with the game build
+   * they were fetched in. Files of an older build are stale and dropped.
+   * @class StaticStore
+   * @constructor
+   * @param {Object} options
+   * @param {String} options.directory Directory where the files are written
+   * @param {Array} [options.endpoints] Endpoint paths kept in the store. Defaults to items, skins, recipes and achievements
+   * @param {Number} [options.buildCheckInterval] Seconds between checks of the current game build. Defaults to 3600
+   */
+  constructor(options) {
+    this.directory = options.directory;
+    this.endpoints = options.endpoints || ['items', 'skins', 'recipes', 'achievements'];
+    this.buildCheckInterval = options.buildCheckInterval !== undefined ? options.buildCheckInterval : 3600;
+
+    this.build = undefined;
+    this.lastBuildCheck = 0;
+    this.buildCheck = undefined;
+    this.files = {};
+    this.writer = fsutils.queuedWriter();
+  }
+
+  /**
+   * @param {String} endpoint API request path
+   * @return {Boolean} True if the endpoint is kept in the store
+   */
+  handles(endpoint) {
+    return this.endpoints.indexOf(endpoint) !== -1;
+  }
+
+  _fileName(endpoint, lang) {
+    return path.join(this.directory, `${endpoint.replace(/\//g, '_')}.${lang}.json`);
+  }
+
+  _load(endpoint, lang) {
+    var fileName = this._fileName(endpoint, lang);
+
+    if (!this.files[fileName]) {
+      this.files[fileName] = readJSON(fileName).then((file) => {
+        return file || { endpoint: endpoint, lang: lang, build: undefined, updated: undefined, objects: {} };
+      });
+    }
+
+    return this.files[fileName];
+  }
+
+  _save(endpoint, lang) {
+    return this.writer.write(this._fileName(endpoint, lang), () => this._load(endpoint, lang));
+  }
+
+  /**
+   * Compares the current game build to the one the store was filled with, at most once per
+   * buildCheckInterval. When the build changed every file is dropped.
+   * @param {Function} getCurrentBuild Returns a Promise for { id }
+   * @return {Promise} Resolves with the current build id
+   */
+  checkBuild(getCurrentBuild) {
+    var now = Date.now();
+
+    if (this.buildCheck && now - this.lastBuildCheck < this.buildCheckInterval * 1000)
+      return this.buildCheck;
+
+    this.lastBuildCheck = now;
+    this.buildCheck = Promise.all([
+      getCurrentBuild(),
+      readJSON(path.join(this.directory, 'build.json'))
+    ]).then((results) => {
+      var currentBuild = results[0].id;
+      var storedBuild = results[1] ? results[1].id : undefined;
+
+      this.build = currentBuild;
+
+      if (storedBuild === currentBuild)
+        return currentBuild;
+
+      return this.clear()
+        .then(() => mkdirp(this.directory))
+        .then(() => writeJSON(path.join(this.directory, 'build.json'), { id: currentBuild }))
+        .then(() => currentBuild);
+    }, (err) => {
+      // Without the build id the stored data can't be trusted, retry on the next call
+      this.buildCheck = undefined;
+      throw err;
+    });
+
+    return this.buildCheck;
+  }
+
+  /**
+   * @param {String} endpoint API request path
+   * @param {String} lang
+   * @param {Array} ids
+   * @return {Promise} Resolves with an Array of the stored objects, undefined for missing ids
+   */
+  get(endpoint, lang, ids) {
+    return this._load(endpoint, lang).then((file) => {
+      if (file.build !== this.build)
+        return ids.map(() => undefined);
+
+      return ids.map(id => file.objects[id]);
+    });
+  }
+
+  /**
+   * @param {String} endpoint API request path
+   * @param {String} lang
+   * @param {Object|Array} objects Objects with an id
+   * @return {Promise}
+   */
+  set(endpoint, lang, objects) {
+    if (!(objects instanceof Array))
+      objects = [objects];
+
+    return this._load(endpoint, lang).then((file) => {
+      if (file.build !== this.build) {
+        file.build = this.build;
+        file.objects = {};
+      }
+
+      objects.forEach((object) => {
+        file.objects[object.id] = object;
+      });
+      file.updated = new Date().toISOString();
+
+      return this._save(endpoint, lang);
+    });
+  }
+
+  /**
+   * Drops every file of the store: the ones of its endpoints in each language and build.json.
+   * Other files of the directory are left alone
+   * @return {Promise}
+   */
+  clear() {
+    this.files = {};
+
+    var fileNames = [path.join(this.directory, 'build.json')];
+
+    this.endpoints.forEach((endpoint) => {
+      localization.LANGUAGES.forEach(lang => fileNames.push(this._fileName(endpoint, lang)));
+    });
+
+    return Promise.all(fileNames.map(fileName => new Promise((resolve, reject) => {
+      fs.unlink(fileName, (err) => err && err.code !== 'ENOENT' ? reject(err) : resolve());
+    })));
+  }
+
+  /**
+   * Describes what is stored and whether it is stale
+   * @param {Array} [langs] Languages to report on. Defaults to ['en']
+   * @return {Promise} Resolves with an Array of { endpoint, lang, build, currentBuild, count, updated, stale }
+   */
+  status(langs) {
+    langs = langs || ['en'];
+    var reports = [];
+
+    this.endpoints.forEach((endpoint) => {
+      langs.forEach((lang) => {
+        reports.push(this._load(endpoint, lang).then((file) => {
+          return {
+            endpoint: endpoint,
+            lang: lang,
+            build: file.build,
+            currentBuild: this.build,
+            count: Object.keys(file.objects).length,
+            updated: file.updated,
+            stale: file.build !== this.build
+          };
+        }));
+      });
+    });
+
+    return Promise.all(reports);
+  }
+}
+
+module.exports = StaticStore;
@@ -0,0 +1,208 @@
+'use strict'
+
+// Shares of the sale price kept by the trading post, each fee is rounded and at least 1 coin.
+// The listing fee is paid when the item is listed, the exchange fee when it sells
+const LISTING_FEE = 0.05;
+const EXCHANGE_FEE = 0.10;
+
+const COIN_CURRENCY_ID = 1;
+
+// Report sources by holdings key, in report order
+const SOURCE_NAMES = {
+  wallet: 'wallet',
+  bank: 'bank',
+  materials: 'materials',
+  inventory: 'inventory',
+  characters: 'characters',
+  buys: 'buyOrders',
+  sells: 'sellOrders'
+};
+
+// Item flags making an item impossible to sell on the trading post
+const UNTRADEABLE_FLAGS = ['AccountBound', 'SoulbindOnAcquire'];
+
+/**
+ * Listing fee of a sale
+ * @param {Number} coins Sale price
+ * @return {Number}
+ */
+function listingFee(coins) {
+  return Math.max(1, Math.round(coins * LISTING_FEE));
+}
+
+/**
+ * Exchange fee of a sale
+ * @param {Number} coins Sale price
+ * @return {Number}
+ */
+function exchangeFee(coins) {
+  return Math.max(1, Math.round(coins * EXCHANGE_FEE));
+}
+
+/**
+ * Coins a sale brings once the trading post fees are taken, e.g. 0 for a 2 coins sale
+ * @param {Number} coins Sale price
+ * @param {Boolean} [listed] The sell order is already listed and paid its listing fee
+ * @return {Number}
+ */
+function afterFees(coins, listed) {
+  return coins - exchangeFee(coins) - (listed ? 0 : listingFee(coins));
+}
+
+function emptyValue() {
+  return { instantSell: 0, listing: 0 };
+}
+
+function addValue(total, value) {
+  total.instantSell += value.instantSell;
+  total.listing += value.listing;
+}
+
+/**
+ * Lists the item stacks of the account by source
+ * @param {Object} holdings { bank, materials, inventory, characters } as returned by the API, missing sources are skipped
+ * @return {Array} { source, id, count, binding }
+ */
+function collectStacks(holdings) {
+  var stacks = [];
+
+  function addSlots(source, slots) {
+    (slots || []).forEach((slot) => {
+      if (slot && slot.count > 0)
+        stacks.push({ source: source, id: slot.id, count: slot.count, binding: slot.binding });
+    });
+  }
+
+  addSlots('bank', holdings.bank);
+  addSlots('materials', holdings.materials);
+  addSlots('inventory', holdings.inventory);
+
+  (holdings.characters || []).forEach((character) => {
+    (character.bags || []).forEach(bag => bag && addSlots('characters', bag.inventory));
+  });
+
+  return stacks;
+}
+
+/**
+ * Tells why a stack can't be sold on the trading post
+ * @param {Object} stack See collectStacks
+ * @param {Object} [item] Item details
+ * @param {Object} [price] Trading post prices of the item
+ * @return {String|undefined} A flag of UNTRADEABLE_FLAGS, 'Bound' for stacks bound to the account or a character,
+ * 'NotTraded' for items without prices, undefined for sellable stacks
+ */
+function untradeableReason(stack, item, price) {
+  var flag = item && UNTRADEABLE_FLAGS.filter(flag => item.flags.indexOf(flag) !== -1)[0];
+
+  if (flag)
+    return flag;
+
+  if (stack.binding)
+    return 'Bound';
+
+  if (!price)
+    return 'NotTraded';
+}
+
+/**
+ * Computes the liquid value of an account, in coins after trading post fees.
+ * Instant-sell values sell every item to the highest buy order, listing values list them at the lowest sell offer
+ * @param {Object} holdings { wallet, bank, materials, inventory, characters, buys, sells }, missing sources are skipped
+ * @param {Object} items Item details by id
+ * @param {Object} prices Trading post prices by item id
+ * @param {Object} [options]
+ * @param {Number} [options.top] Number of most valuable items reported. Defaults to 10
+ * @return {Object} { total, sources, items, excluded }, see README
+ */
+function valuate(holdings, items, prices, options = {}) {
+  var top = options.top !== undefined ? options.top : 10;
+  var sources = {};
+  var total = emptyValue();
+  var itemValues = {};
+  var excluded = {};
+
+  Object.keys(SOURCE_NAMES).forEach((key) => {
+    if (holdings[key])
+      sources[SOURCE_NAMES[key]] = emptyValue();
+  });
+
+  if (holdings.wallet) {
+    var coins = holdings.wallet.filter(entry => entry.id === COIN_CURRENCY_ID)[0];
+
+    sources.wallet.instantSell = sources.wallet.listing = coins ? coins.value : 0;
+  }
+
+  // Coins of buy orders are given back when they are cancelled
+  if (holdings.buys) {
+    var buys = sources.buyOrders;
+
+    holdings.buys.forEach((order) => {
+      buys.instantSell += order.price * order.quantity;
+    });
+    buys.listing = buys.instantSell;
+  }
+
+  // Sell orders are valued at their own price, or sold right away to the highest buy order
+  if (holdings.sells) {
+    var sells = sources.sellOrders;
+
+    holdings.sells.forEach((order) => {
+      var price = prices[order.item_id];
+      var listed = afterFees(order.price * order.quantity, true);
+
+      sells.listing += listed;
+      sells.instantSell += price ? afterFees(price.buys.unit_price * order.quantity) : listed;
+    });
+  }
+
+  collectStacks(holdings).forEach((stack) => {
+    var item = items[stack.id];
+    var price = prices[stack.id];
+    var reason = untradeableReason(stack, item, price);
+
+    if (reason) {
+      var key = `${stack.id}#${reason}`;
+
+      excluded[key] = excluded[key] || { id: stack.id, name: item && item.name, count: 0, reason: reason };
+      excluded[key].count += stack.count;
+      return;
+    }
+
+    var value = {
+      instantSell: afterFees(price.buys.unit_price * stack.count),
+      listing: afterFees(price.sells.unit_price * stack.count)
+    };
+
+    addValue(sources[stack.source], value);
+
+    itemValues[stack.id] = itemValues[stack.id] || Object.assign({ id: stack.id, name: item && item.name, count: 0 }, emptyValue());
+    itemValues[stack.id].count += stack.count;
+    addValue(itemValues[stack.id], value);
+  });
+
+  Object.keys(sources).forEach(source => addValue(total, sources[source]));
+
+  var topItems = Object.keys(itemValues)
+    .map(id => itemValues[id])
+    .sort((a, b) => b.listing - a.listing || a.id - b.id)
+    .slice(0, top);
+
+  return {
+    total: total,
+    sources: sources,
+    items: topItems,
+    excluded: Object.keys(excluded).map(key => excluded[key])
+  };
+}
+
+module.exports = {
+  LISTING_FEE: LISTING_FEE,
+  EXCHANGE_FEE: EXCHANGE_FEE,
+  UNTRADEABLE_FLAGS: UNTRADEABLE_FLAGS,
+  listingFee: listingFee,
+  exchangeFee: exchangeFee,
+  afterFees: afterFees,
+  collectStacks: collectStacks,
+  valuate: valuate
+};
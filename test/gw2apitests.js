@@ -1,3 +1,6 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const chai = require('chai');
 const assert = chai.assert;
 const expect = chai.expect;
@@ -12,6 +15,39 @@ describe('GW2API', function() {
     // runs after all tests in this block
   });
 
+  // Client whose requests are answered by respond(request) instead of the network, request being { path, qs, apiKey, options }.
+  // respond returns { statusCode, headers, body }, with a status of 200 by default and a body sent as JSON unless it's
+  // a string, or throws to fail the request. The requests are kept in api.requests
+  function stubAPI(config, respond) {
+    const api = new GW2API(Object.assign({ checkPermissions: false, rateLimit: false }, config));
+    api.requests = [];
+
+    api._send = function(options) {
+      const authorization = options.headers && options.headers['Authorization'];
+      const request = {
+        path: options.url.split('/v2/')[1],
+        qs: options.qs || {},
+        apiKey: authorization ? authorization.replace(/^Bearer /, '') : undefined,
+        options: options
+      };
+
+      api.requests.push(request);
+
+      return Promise.resolve(request).then(respond).then(response => ({
+        statusCode: response.statusCode || 200,
+        headers: response.headers || {},
+        body: typeof response.body === 'string' ? response.body : JSON.stringify(response.body)
+      }));
+    };
+
+    return api;
+  }
+
+  // Answers details requests with an { id } object per requested id
+  function idObjects(request) {
+    return { body: request.qs.ids.split(',').map(id => ({ id: Number(id) })) };
+  }
+
 
   describe('#getItemIDs', function() {
     it('should return an array of ids', function() {
@@ -57,4 +93,1315 @@ describe('GW2API', function() {
       });
     });
   });
+
+  describe('#_apiDetailsRequest', function() {
+    it('should split large id lists in chunks and keep the requested order', function() {
+      const gw2api = stubAPI({ maxIdsPerRequest: 2 }, idObjects);
+
+      return gw2api.getItems([5, 1, 4, 2, 3]).then(result => {
+        expect(gw2api.requests.map(request => request.qs.ids)).to.deep.equal(['1,2', '3,4', '5']);
+        expect(result.map(item => item.id)).to.deep.equal([5, 1, 4, 2, 3]);
+      });
+    });
+
+    it('should report failed chunks and resolve the ones that succeeded', function() {
+      const failure = new Error('chunk failed');
+      const gw2api = stubAPI({ maxIdsPerRequest: 2 }, request => {
+        if (request.qs.ids === '3,4')
+          throw failure;
+
+        return idObjects(request);
+      });
+
+      return gw2api.getPrices([1, 2, 3, 4]).then(result => {
+        expect(result.map(item => item.id)).to.deep.equal([1, 2]);
+        expect(result.failures).to.deep.equal([{ ids: [3, 4], error: failure }]);
+      });
+    });
+
+    it('should merge concurrent calls into a single upstream request', function() {
+      const gw2api = stubAPI({}, idObjects);
+
+      return Promise.all([
+        gw2api.getItems([1, 2, 3]),
+        gw2api.getItems([2, 3, 4]),
+        gw2api.getItems(4)
+      ]).then(results => {
+        expect(gw2api.requests.map(request => request.qs.ids)).to.deep.equal(['1,2,3,4']);
+        expect(results[1].map(item => item.id)).to.deep.equal([2, 3, 4]);
+        expect(results[2].id).to.equal(4);
+      });
+    });
+
+    it('should share a pending request between identical calls', function() {
+      const gw2api = stubAPI({}, () => ({ body: [1, 2] }));
+
+      return Promise.all([gw2api.listItems(), gw2api.listItems()]).then(results => {
+        expect(gw2api.requests).to.have.length(1);
+        expect(results[1]).to.deep.equal([1, 2]);
+      });
+    });
+
+    it('should fetch bulk endpoints with ids=all and cache every object', function() {
+      const gw2api = stubAPI({}, () => ({ body: [{ id: 1 }, { id: 2 }] }));
+
+      return gw2api.getColors('all').then(result => {
+        expect(result.map(color => color.id)).to.deep.equal([1, 2]);
+        return gw2api.getColors(2);
+      }).then(result => {
+        expect(result.id).to.equal(2);
+        expect(gw2api.requests.map(request => request.qs.ids)).to.deep.equal(['all']);
+      });
+    });
+  });
+
+  describe('#_request', function() {
+    it('should retry rate limited and unavailable responses', function() {
+      const retries = [];
+      const statusCodes = [429, 503, 200];
+      const gw2api = stubAPI({
+        retryDelay: 1,
+        onRetry: info => retries.push(info.statusCode)
+      }, () => ({ statusCode: statusCodes.shift(), body: { id: 1 } }));
+
+      return gw2api._request('items', { id: 1 }).then(result => {
+        expect(result.data.id).to.equal(1);
+        expect(retries).to.deep.equal([429, 503]);
+      });
+    });
+
+    it('should give up after config.maxRetries', function() {
+      const gw2api = stubAPI({ retryDelay: 1, maxRetries: 2 }, () => ({ statusCode: 502, body: '' }));
+
+      return gw2api._request('items', { id: 1 }).then(() => {
+        throw new Error('should have failed');
+      }, () => {
+        expect(gw2api.requests).to.have.length(3);
+      });
+    });
+  });
+
+  describe('errors', function() {
+    it('should reject with a MissingPermissionError when the key lacks a scope', function() {
+      const gw2api = stubAPI({}, () => ({ statusCode: 403, body: { text: 'requires scope wallet' } }));
+
+      return gw2api.getAccountWallet('key').then(() => {
+        throw new Error('should have failed');
+      }, error => {
+        expect(error).to.be.instanceof(GW2API.errors.MissingPermissionError);
+        expect(error).to.be.instanceof(GW2API.errors.GW2APIError);
+        expect(error.statusCode).to.equal(403);
+        expect(error.path).to.equal('account/wallet');
+        expect(error.text).to.equal('requires scope wallet');
+        expect(error.permission).to.equal('wallet');
+      });
+    });
+
+    it('should reject with a JSONParseError on malformed bodies', function() {
+      const gw2api = stubAPI({}, () => ({ body: '<html>' }));
+
+      return gw2api.getItems(1).then(() => {
+        throw new Error('should have failed');
+      }, error => {
+        expect(error).to.be.instanceof(GW2API.errors.JSONParseError);
+        expect(error.path).to.equal('items');
+      });
+    });
+  });
+
+  describe('#iterate', function() {
+    // Answers pages of { id } objects, out of total
+    function pagedAPI(total) {
+      return stubAPI({}, request => {
+        const start = request.qs.page * request.qs.page_size;
+        const data = [];
+        for (var id = start; id < Math.min(start + request.qs.page_size, total); id++)
+          data.push({ id: id });
+
+        return { headers: { 'x-page-total': String(Math.ceil(total / request.qs.page_size)) }, body: data };
+      });
+    }
+
+    it('should walk every page', function() {
+      const gw2api = pagedAPI(5);
+
+      return gw2api.all('items', { pageSize: 2 }).then(result => {
+        expect(result.map(item => item.id)).to.deep.equal([0, 1, 2, 3, 4]);
+        expect(gw2api.requests.map(request => request.qs.page)).to.deep.equal([0, 1, 2]);
+      });
+    });
+
+    it('should stop requesting pages once the limit is reached', function() {
+      const gw2api = pagedAPI(10);
+
+      return gw2api.all('items', { pageSize: 2, limit: 3 }).then(result => {
+        expect(result.map(item => item.id)).to.deep.equal([0, 1, 2]);
+        expect(gw2api.requests.map(request => request.qs.page)).to.deep.equal([0, 1]);
+      });
+    });
+  });
+
+  describe('meta', function() {
+    it('should resolve with data and meta when requested', function() {
+      const gw2api = stubAPI({}, () => ({
+        headers: { 'x-page-total': '3', 'x-result-total': '150', date: 'Mon, 19 Oct 2026 10:00:00 GMT' },
+        body: [1, 2]
+      }));
+
+      return gw2api.listItems(0, 2, { meta: true }).then(result => {
+        expect(result.data).to.deep.equal([1, 2]);
+        expect(result.meta.pageTotal).to.equal(3);
+        expect(result.meta.resultTotal).to.equal(150);
+        expect(result.meta.origin).to.equal('network');
+        expect(result.meta.date.toISOString()).to.equal('2026-10-19T10:00:00.000Z');
+
+        return gw2api.listItems(0, 2, { meta: true });
+      }).then(result => {
+        expect(result.meta.origin).to.equal('cache');
+        return gw2api.listItems(0, 2);
+      }).then(result => {
+        expect(result).to.deep.equal([1, 2]);
+      });
+    });
+  });
+
+  describe('cache', function() {
+    function countingAPI(config) {
+      return stubAPI(config, () => ({ body: { coins: 1 } }));
+    }
+
+    it('should not cache endpoints with a TTL of 0', function() {
+      const gw2api = countingAPI({ cachePolicy: { 'account/wallet': 0 } });
+
+      return gw2api.getAccountWallet('key')
+        .then(() => gw2api.getAccountWallet('key'))
+        .then(() => gw2api.getAccount('key'))
+        .then(() => gw2api.getAccount('key'))
+        .then(() => {
+          expect(gw2api.requests).to.have.length(3);
+        });
+    });
+
+    it('should not cache the wallet and current orders by default', function() {
+      const gw2api = countingAPI();
+
+      return gw2api.getAccountWallet('key')
+        .then(() => gw2api.getAccountWallet('key'))
+        .then(() => gw2api.getCurrentBuyTransactions('key'))
+        .then(() => gw2api.getCurrentBuyTransactions('key'))
+        .then(() => gw2api.getHistoricalBuyTransactions('key'))
+        .then(() => gw2api.getHistoricalBuyTransactions('key'))
+        .then(() => {
+          expect(gw2api.requests).to.have.length(5);
+        });
+    });
+
+    it('should invalidate cached responses by API key', function() {
+      const gw2api = countingAPI();
+
+      return gw2api.getAccount('key1')
+        .then(() => gw2api.getAccount('key2'))
+        .then(() => gw2api.invalidateCache({ apiKey: 'key1' }))
+        .then(removed => {
+          expect(removed).to.equal(1);
+          return gw2api.getAccount('key1');
+        })
+        .then(() => gw2api.getAccount('key2'))
+        .then(() => {
+          expect(gw2api.requests).to.have.length(3);
+        });
+    });
+  });
+
+  describe('static store', function() {
+    var directory;
+    var build;
+    var itemRequests;
+
+    function storeAPI() {
+      return stubAPI({ staticStore: { directory: directory } }, request => {
+        if (request.path === 'build')
+          return { body: { id: build } };
+
+        itemRequests++;
+        return idObjects(request);
+      });
+    }
+
+    beforeEach(function() {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gw2api-'));
+      build = 1;
+      itemRequests = 0;
+    });
+
+    afterEach(function() {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should keep static objects between instances until the build changes', function() {
+      const first = storeAPI();
+
+      return first.getItems([1, 2])
+        .then(() => first.staticStore.writer.pending(first.staticStore._fileName('items', 'en')))
+        .then(() => storeAPI().getItems([1, 2]))
+        .then(result => {
+          expect(result.map(item => item.id)).to.deep.equal([1, 2]);
+          expect(itemRequests).to.equal(1);
+
+          build = 2;
+          return storeAPI().getItems([1, 2]);
+        })
+        .then(() => {
+          expect(itemRequests).to.equal(2);
+        });
+    });
+
+    it('should only drop its own files when the build changes', function() {
+      fs.writeFileSync(path.join(directory, 'package.json'), '{}');
+      fs.writeFileSync(path.join(directory, 'prices.19.json'), '{"items":{}}');
+
+      const first = storeAPI();
+      const second = storeAPI();
+
+      return first.getItems([1])
+        .then(() => first.staticStore.writer.pending(first.staticStore._fileName('items', 'en')))
+        .then(() => {
+          build = 2;
+          return second.getItems([2]);
+        })
+        .then(() => second.staticStore.writer.pending(second.staticStore._fileName('items', 'en')))
+        .then(() => {
+          expect(fs.readdirSync(directory).sort()).to.deep.equal(['build.json', 'items.en.json', 'package.json', 'prices.19.json']);
+        });
+    });
+
+    it('should report stale endpoints', function() {
+      const gw2api = storeAPI();
+
+      return gw2api.getItems([1])
+        .then(() => gw2api.getStaticStoreStatus())
+        .then(status => {
+          const items = status.filter(report => report.endpoint === 'items')[0];
+          const skins = status.filter(report => report.endpoint === 'skins')[0];
+
+          expect(items.count).to.equal(1);
+          expect(items.stale).to.equal(false);
+          expect(skins.stale).to.equal(true);
+        });
+    });
+  });
+
+  describe('localization', function() {
+    const names = { en: 'Omnomberry Bar', de: 'Omnombeeren-Riegel', fr: 'Barre d\'omnobaies' };
+
+    function localizedAPI() {
+      return stubAPI({}, request => ({
+        body: request.qs.ids.split(',').map(id => ({ id: Number(id), name: names[request.qs.lang], description: 'Nourishment', rarity: 'Fine' }))
+      }));
+    }
+
+    it('should request the language given per call', function() {
+      const gw2api = localizedAPI();
+
+      return gw2api.getItems([12452], { lang: 'de' }).then(result => {
+        expect(gw2api.requests.map(request => request.qs.lang)).to.deep.equal(['de']);
+        expect(result[0].name).to.equal(names.de);
+      });
+    });
+
+    it('should merge the localized fields of several languages', function() {
+      const gw2api = localizedAPI();
+
+      return gw2api.getLocalized('items', [12452], { langs: ['en', 'de', 'fr'] }).then(result => {
+        // The description is a text field, mapped even though it is the same in every language
+        const description = { en: 'Nourishment', de: 'Nourishment', fr: 'Nourishment' };
+        expect(result).to.deep.equal([{ id: 12452, name: names, description: description, rarity: 'Fine' }]);
+      });
+    });
+  });
+
+  describe('permissions', function() {
+    function keyAPI(keyPermissions) {
+      return stubAPI({ checkPermissions: true }, request => ({
+        body: request.path === 'tokeninfo' ? { permissions: keyPermissions } : {}
+      }));
+    }
+
+    it('should reject calls the key lacks a permission for without requesting them', function() {
+      const gw2api = keyAPI(['account']);
+
+      return gw2api.getAccount('key')
+        .then(() => gw2api.getAccountWallet('key'))
+        .then(() => {
+          throw new Error('should have failed');
+        }, error => {
+          expect(error).to.be.instanceof(GW2API.errors.MissingPermissionError);
+          expect(error.message).to.equal('missing permission: wallet');
+          expect(gw2api.requests.map(request => request.path)).to.deep.equal(['tokeninfo', 'account']);
+        });
+    });
+
+    it('should bind the key in sessions', function() {
+      const gw2api = keyAPI(['account', 'guilds']);
+      const session = gw2api.withKey('key');
+
+      return session.getGuildLog('guild-id').then(() => {
+        expect(gw2api.requests.map(request => request.path)).to.deep.equal(['tokeninfo', 'guild/guild-id/log']);
+      });
+    });
+
+    it('should list the methods a key can use', function() {
+      const gw2api = keyAPI(['account', 'wallet']);
+
+      return gw2api.getKeyCapabilities('key').then(capabilities => {
+        expect(capabilities.methods.getAccountWallet).to.equal(true);
+        expect(capabilities.methods.getAccountBank).to.equal(false);
+        expect(capabilities.missing.getAccountBank).to.deep.equal(['inventories']);
+      });
+    });
+  });
+
+  describe('events', function() {
+    it('should emit lifecycle events with the key redacted and count them', function() {
+      const gw2api = stubAPI({}, () => ({ body: { name: 'Account.1234' } }));
+      const events = [];
+
+      ['request', 'response', 'cacheHit', 'cacheMiss'].forEach(name => {
+        gw2api.on(name, event => events.push([name, event.path, event.apiKey]));
+      });
+
+      return gw2api.getAccount('ABCDEFGH-1234')
+        .then(() => gw2api.getAccount('ABCDEFGH-1234'))
+        .then(() => {
+          expect(events).to.deep.equal([
+            ['cacheMiss', 'account', 'ABCD…'],
+            ['request', 'account', 'ABCD…'],
+            ['response', 'account', 'ABCD…'],
+            ['cacheHit', 'account', 'ABCD…']
+          ]);
+
+          const stats = gw2api.getStats();
+          expect(stats.requests).to.equal(1);
+          expect(stats.cacheHitRate).to.equal(0.5);
+          expect(stats.endpoints.account.latency.histogram[0].count).to.equal(1);
+        });
+    });
+  });
+
+  describe('fixtures', function() {
+    var directory;
+
+    beforeEach(function() {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gw2api-fixtures-'));
+    });
+
+    afterEach(function() {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should replay recorded responses with the API key scrubbed', function() {
+      const recorder = new GW2API({ checkPermissions: false, fixtures: { mode: 'record', directory: directory } });
+
+      recorder._httpRequest = function() {
+        return Promise.resolve({ statusCode: 200, headers: {}, body: '{"id":"SECRET-KEY","name":"Account.1234"}' });
+      };
+
+      return recorder.getAccount('SECRET-KEY').then(() => {
+        const player = new GW2API({ checkPermissions: false, fixtures: { mode: 'replay', directory: directory } });
+
+        return player.getAccount('OTHER-KEY');
+      }).then(result => {
+        expect(result).to.deep.equal({ id: 'SCRUBBED-API-KEY', name: 'Account.1234' });
+      });
+    });
+
+    it('should record identical concurrent requests to a single fixture', function() {
+      const recorder = new GW2API({ rateLimit: false, fixtures: { mode: 'record', directory: directory } });
+
+      recorder._httpRequest = function() {
+        return Promise.resolve({ statusCode: 200, headers: {}, body: '{"id":115267}' });
+      };
+
+      const calls = [];
+      for (let i = 0; i < 20; i++)
+        calls.push(recorder.getCurrentBuild({ timeout: 5000 }));
+
+      return Promise.all(calls).then(builds => {
+        expect(builds).to.deep.equal(calls.map(() => ({ id: 115267 })));
+        expect(fs.readdirSync(path.join(directory, 'build'))).to.have.length(1);
+      });
+    });
+
+    it('should resolve requests whose fixture cannot be written', function() {
+      fs.writeFileSync(path.join(directory, 'build'), '');
+
+      const recorder = new GW2API({ fixtures: { mode: 'record', directory: directory } });
+
+      recorder._httpRequest = function() {
+        return Promise.resolve({ statusCode: 200, headers: {}, body: '{"id":115267}' });
+      };
+
+      return recorder.getCurrentBuild().then(build => {
+        expect(build).to.deep.equal({ id: 115267 });
+      });
+    });
+
+    it('should reject unmatched requests in replay mode', function() {
+      const player = new GW2API({ fixtures: { mode: 'replay', directory: directory } });
+
+      return player.getItems(12452).then(() => {
+        throw new Error('should have failed');
+      }, error => {
+        expect(error).to.be.instanceof(GW2API.errors.FixtureNotFoundError);
+      });
+    });
+  });
+
+  // Starts a MockServer, with options.server, and a client of it, with options.config, before each test
+  // of the enclosing block. Returns the { server, api } of the current test
+  function useMockServer(options = {}) {
+    const mock = {};
+
+    beforeEach(function() {
+      mock.server = new GW2API.MockServer(options.server);
+
+      return mock.server.listen().then(baseURL => {
+        mock.api = new GW2API(Object.assign({ baseURL: baseURL, rateLimit: false }, options.config));
+      });
+    });
+
+    afterEach(function() {
+      return mock.server.close();
+    });
+
+    return mock;
+  }
+
+  describe('mock server', function() {
+    const mock = useMockServer({ config: { retryDelay: 1 } });
+
+    it('should report the date of the responses details are cached from', function() {
+      return mock.api.getWorlds('all', { meta: true }).then(all => {
+        expect(all.meta.date).to.be.instanceof(Date);
+
+        return mock.api.getWorlds(1001, { meta: true }).then(result => {
+          expect(mock.server.requests).to.have.length(1);
+          expect(result.data.name).to.equal('Anvil Rock');
+          expect(result.meta).to.deep.equal({ origin: 'cache', resultCount: 1, httpStatus: 200, date: all.meta.date });
+        });
+      });
+    });
+
+    it('should request ids in chunks and skip the ids missing from partial responses', function() {
+      mock.api.config.maxIdsPerRequest = 2;
+
+      return mock.api.getItems([19684, 19700, 19721, 1]).then(items => {
+        expect(items.map(item => item.id)).to.deep.equal([19684, 19700, 19721]);
+        expect(mock.server.requests.map(request => request.qs.ids)).to.deep.equal(['1,19684', '19700,19721']);
+      });
+    });
+
+    it('should iterate over every page', function() {
+      return mock.api.all('items', { pageSize: 2 }).then(items => {
+        expect(items).to.have.length(6);
+        expect(mock.server.requests).to.have.length(3);
+      });
+    });
+
+    it('should reject invalid keys and keys missing a permission', function() {
+      return mock.api.getAccount('UNKNOWN-KEY').then(() => {
+        throw new Error('should have failed');
+      }, error => {
+        expect(error).to.be.instanceof(GW2API.errors.InvalidKeyError);
+
+        return mock.api.getAccountWallet('MOCK-ACCOUNT-KEY');
+      }).then(() => {
+        throw new Error('should have failed');
+      }, error => {
+        expect(error).to.be.instanceof(GW2API.errors.MissingPermissionError);
+        expect(error.missingPermissions).to.deep.equal(['wallet']);
+
+        return mock.api.getAccountWallet('MOCK-FULL-KEY');
+      }).then(wallet => {
+        expect(wallet).to.have.length(3);
+      });
+    });
+
+    it('should page trading post transactions', function() {
+      return mock.api.listCurrentBuyTransactions('MOCK-FULL-KEY', 0, 1, { meta: true }).then(result => {
+        expect(result.data.map(order => order.id)).to.deep.equal([4101]);
+        expect(result.meta.pageTotal).to.equal(1);
+
+        return mock.api.iterateCurrentSellTransactions('MOCK-FULL-KEY').toArray();
+      }).then(orders => {
+        expect(orders.map(order => order.item_id)).to.deep.equal([19721]);
+        expect(mock.server.requests[mock.server.requests.length - 1].qs.page).to.equal('0');
+      });
+    });
+
+    it('should check the key permissions before iterating', function() {
+      return mock.api.all('characters', { apiKey: 'MOCK-ACCOUNT-KEY' }).then(() => {
+        throw new Error('should have failed');
+      }, error => {
+        expect(error).to.be.instanceof(GW2API.errors.MissingPermissionError);
+        expect(error.missingPermissions).to.deep.equal(['characters']);
+        expect(mock.server.requests.map(request => request.path)).to.deep.equal(['tokeninfo']);
+      });
+    });
+
+    it('should look up and cache characters by name', function() {
+      return mock.api.getCharacters('MOCK-FULL-KEY', ['Mock Warrior', 'Mock Mesmer']).then(characters => {
+        expect(characters.map(character => character.name)).to.deep.equal(['Mock Warrior', 'Mock Mesmer']);
+
+        return mock.api.getCharacters('MOCK-FULL-KEY', 'Mock Warrior');
+      }).then(character => {
+        expect(character.name).to.equal('Mock Warrior');
+        expect(mock.server.requests.filter(request => request.path === 'characters')).to.have.length(1);
+
+        return mock.api.getCharacters('MOCK-FULL-KEY', 'all');
+      }).then(characters => {
+        expect(characters.map(character => character.name).sort()).to.deep.equal(['Mock Mesmer', 'Mock Warrior']);
+      });
+    });
+
+    it('should retry requests answered with 429', function() {
+      mock.server.failNext(429, 2);
+
+      return mock.api.getCurrentBuild().then(build => {
+        expect(build.id).to.equal(76706);
+        expect(mock.server.requests).to.have.length(3);
+      });
+    });
+  });
+
+  describe('timeouts and cancellation', function() {
+    const mock = useMockServer({ config: { maxRetries: 0 } });
+
+    it('should reject with an AbortError when the signal aborts', function() {
+      const controller = new AbortController();
+      const pending = mock.api.getItems([19684], { signal: controller.signal });
+
+      controller.abort();
+
+      return pending.then(() => {
+        throw new Error('should have failed');
+      }, error => {
+        expect(error).to.be.instanceof(GW2API.errors.AbortError);
+        expect(error.path).to.equal('items');
+      });
+    });
+
+    it('should not send requests for an aborted signal', function() {
+      const controller = new AbortController();
+      controller.abort();
+
+      return mock.api.getCurrentBuild({ signal: controller.signal }).then(() => {
+        throw new Error('should have failed');
+      }, error => {
+        expect(error).to.be.instanceof(GW2API.errors.AbortError);
+        expect(mock.server.requests).to.have.length(0);
+      });
+    });
+
+    it('should reject with a TimeoutError when the API does not answer in time', function() {
+      mock.server.server.removeAllListeners('request');
+      mock.server.server.on('request', () => {});
+
+      return mock.api.getCurrentBuild({ timeout: 50 }).then(() => {
+        throw new Error('should have failed');
+      }, error => {
+        expect(error).to.be.instanceof(GW2API.errors.TimeoutError);
+        expect(error).to.be.instanceof(GW2API.errors.NetworkError);
+      });
+    });
+
+    it('should pass the signal and timeout to the permission check', function() {
+      mock.server.server.removeAllListeners('request');
+      mock.server.server.on('request', () => {});
+
+      return mock.api.getKeyCapabilities('MOCK-FULL-KEY', { timeout: 50 }).then(() => {
+        throw new Error('should have failed');
+      }, error => {
+        expect(error).to.be.instanceof(GW2API.errors.TimeoutError);
+        expect(error.path).to.equal('tokeninfo');
+
+        const controller = new AbortController();
+        const pending = mock.api.getAccountWallet('MOCK-FULL-KEY', { signal: controller.signal });
+
+        setTimeout(() => controller.abort(), 10);
+        return pending;
+      }).then(() => {
+        throw new Error('should have failed');
+      }, error => {
+        expect(error).to.be.instanceof(GW2API.errors.AbortError);
+        expect(error.path).to.equal('tokeninfo');
+      });
+    });
+
+    it('should pass the signal and timeout to each page request', function() {
+      const controller = new AbortController();
+      var sent = [];
+
+      mock.api._send = function(options, signal) {
+        sent.push({ timeout: options.timeout, signal: signal });
+        return Promise.resolve({ statusCode: 200, headers: { 'x-page-total': '2' }, body: '[1]' });
+      };
+
+      return mock.api.all('items', { signal: controller.signal, timeout: 1000 }).then(() => {
+        expect(sent).to.have.length(2);
+        sent.forEach(request => {
+          expect(request.timeout).to.equal(1000);
+          expect(request.signal).to.equal(controller.signal);
+        });
+      });
+    });
+  });
+
+  describe('endpoint registry', function() {
+    var requests;
+    var registryAPI;
+
+    beforeEach(function() {
+      registryAPI = stubAPI({}, () => ({ body: [] }));
+      requests = registryAPI.requests;
+    });
+
+    it('should request the endpoint of each guild method', function() {
+      return Promise.all([
+        registryAPI.listGuildPermissions(),
+        registryAPI.listGuildUpgradeDefinitions(),
+        registryAPI.getGuildTreasury('key', 'GUILD'),
+        registryAPI.getGuildTeams('key', 'GUILD')
+      ]).then(() => {
+        expect(requests.map(request => request.path)).to.deep.equal([
+          'guild/permissions',
+          'guild/upgrades',
+          'guild/GUILD/treasury',
+          'guild/GUILD/teams'
+        ]);
+        expect(requests[2].apiKey).to.equal('key');
+      });
+    });
+
+    it('should fill path segments and paging from the method arguments', function() {
+      return registryAPI.listRegions(1, 2, 3, 50).then(() => {
+        expect(requests[0].path).to.equal('continents/1/floors/2/regions');
+        expect(requests[0].qs.page).to.equal(3);
+        expect(requests[0].qs.page_size).to.equal(50);
+      });
+    });
+
+    it('should generate iterators passing the API key', function() {
+      const iterator = registryAPI.iteratePvPGames('key', { pageSize: 10 });
+
+      expect(iterator.path).to.equal('pvp/games');
+      expect(iterator.apiKey).to.equal('key');
+      expect(iterator.pageSize).to.equal(10);
+    });
+
+    it('should derive the permissions and session methods of authenticated endpoints', function() {
+      expect(registryAPI.withKey('key').getGuildTeams).to.be.a('function');
+      expect(require('../lib/permissions').requiredPermissions('guild/GUILD/teams')).to.deep.equal(['account', 'guilds']);
+    });
+
+    it('should refuse to define a method twice', function() {
+      const endpoints = require('../lib/endpoints');
+
+      expect(() => endpoints.defineMethods(GW2API.prototype)).to.throw(/already defined/);
+    });
+  });
+
+  describe('typings', function() {
+    const declarations = fs.readFileSync(path.join(__dirname, '..', 'index.d.ts'), 'utf8');
+
+    function block(start, end) {
+      const from = declarations.indexOf(start);
+      return declarations.slice(from, declarations.indexOf(end, from));
+    }
+
+    // Declared method names with their parameter counts
+    function declaredMethods(body) {
+      var methods = {};
+
+      body.split('\n').forEach(line => {
+        const match = /^\s+(\w+)(?:<[^(]*>)?\(([^)]*)\):/.exec(line);
+
+        if (!match || match[1] === 'on' || match[1] === 'constructor')
+          return;
+
+        var depth = 0;
+        var count = match[2].trim() ? 1 : 0;
+        match[2].split('').forEach(char => {
+          if (char === '<' || char === '{') depth++;
+          if (char === '>' || char === '}') depth--;
+          if (char === ',' && depth === 0) count++;
+        });
+        methods[match[1]] = count;
+      });
+
+      return methods;
+    }
+
+    function publicMethods(prototype) {
+      return Object.getOwnPropertyNames(prototype).filter(name => name !== 'constructor' && name[0] !== '_').sort();
+    }
+
+    it('should declare every public method of GW2API', function() {
+      const declared = declaredMethods(block('declare class GW2API', '\n}\n'));
+
+      expect(Object.keys(declared).sort()).to.deep.equal(publicMethods(GW2API.prototype));
+    });
+
+    it('should declare the arguments of the generated endpoint methods', function() {
+      const declared = declaredMethods(block('declare class GW2API', '\n}\n'));
+      const endpoints = require('../lib/endpoints');
+
+      endpoints.ENDPOINTS.forEach(endpoint => {
+        const leading = (endpoint.auth ? 1 : 0) + endpoints.pathParams(endpoint).length;
+        expect(declared[`get${endpoint.name}`], `get${endpoint.name}`).to.equal(leading + (endpoint.ids ? 2 : 1));
+        if (endpoint.paged) {
+          expect(declared[`list${endpoint.name}`], `list${endpoint.name}`).to.equal(leading + 3);
+          expect(declared[`iterate${endpoint.name}`], `iterate${endpoint.name}`).to.equal(leading + 1);
+        }
+      });
+    });
+
+    it('should declare every session method and error', function() {
+      const session = declaredMethods(block('class GW2APISession {', '\n  }\n'));
+      const errorNames = block('const errors: {', '};').match(/\w+(?=: typeof|\()/g);
+
+      expect(Object.keys(session).sort()).to.deep.equal(publicMethods(GW2API.GW2APISession.prototype));
+      expect(errorNames.sort()).to.deep.equal(Object.keys(GW2API.errors).sort());
+    });
+  });
+
+  describe('schema validation', function() {
+    function validatingAPI(config, body) {
+      return stubAPI(config, () => ({ body: body }));
+    }
+
+    it('should reject responses not matching their schema with a ValidationError', function() {
+      const api = validatingAPI({ validate: 'throw' }, [{ id: 1, name: 'Item', type: 'Trophy', rarity: 'Fine', level: '80', vendor_value: 1, flags: [] }]);
+
+      return api.getItems([1]).then(() => {
+        throw new Error('should have failed');
+      }, error => {
+        expect(error).to.be.instanceof(GW2API.errors.ValidationError);
+        expect(error.errors).to.deep.equal([{ path: 'data[0].level', message: 'expected integer, got string' }]);
+      });
+    });
+
+    it('should log mismatches in warn mode and resolve', function() {
+      var warnings = [];
+      const api = validatingAPI({ validate: 'warn', logger: { warn: message => warnings.push(message) } }, { id: 5, name: 'Mock.1234' });
+
+      return api.getAccount('key').then(account => {
+        expect(account.name).to.equal('Mock.1234');
+        expect(warnings).to.have.length(1);
+        expect(warnings[0]).to.contain('data.world missing required property').and.contain('(and 1 more)');
+      });
+    });
+
+    it('should skip lists of ids and accept valid responses', function() {
+      const api = validatingAPI({ validate: 'throw', schemaVersion: '2019-12-19T00:00:00.000Z' }, [1, 2, 3]);
+
+      return api.listItems().then(ids => {
+        expect(ids).to.deep.equal([1, 2, 3]);
+        expect(api.requests[0].options.headers['X-Schema-Version']).to.equal('2019-12-19T00:00:00.000Z');
+      });
+    });
+
+    it('should validate the bundled mock data', function() {
+      const server = new GW2API.MockServer();
+
+      return server.listen().then(baseURL => {
+        const api = new GW2API({ baseURL: baseURL, rateLimit: false, validate: 'throw' });
+
+        return Promise.all([
+          api.getItems('all'),
+          api.getPrices([19684, 19700]),
+          api.getAccount('MOCK-FULL-KEY'),
+          api.getAccountBank('MOCK-FULL-KEY'),
+          api.getCharacters('MOCK-FULL-KEY', ['Mock Warrior'])
+        ]);
+      }).then(results => {
+        expect(results[0]).to.have.length(server.data.items.length);
+        expect(results[4].map(character => character.name)).to.deep.equal(['Mock Warrior']);
+      }).then(() => server.close(), error => server.close().then(() => {
+        throw error;
+      }));
+    });
+  });
+
+  describe('stale cache entries', function() {
+    var responses;
+    var staleAPI;
+
+    function expire(path, id) {
+      const key = staleAPI._cacheKey(path, { lang: 'en' }, undefined) + (id !== undefined ? `#${id}` : '');
+
+      return staleAPI.cache.get(key).then(entry => {
+        entry.expires = Date.now() - 1000;
+      });
+    }
+
+    beforeEach(function() {
+      responses = [];
+      staleAPI = stubAPI({ staleWhileRevalidate: 60, staleIfError: 3600 }, request => {
+        const response = responses.shift();
+
+        if (response instanceof Error)
+          throw response;
+
+        return { body: request.qs.ids ? request.qs.ids.split(',').map(id => ({ id: Number(id), version: response })) : { id: response } };
+      });
+    });
+
+    it('should serve stale entries while refreshing them in the background', function() {
+      responses = [1, 2];
+
+      return staleAPI.getCurrentBuild().then(() => expire('build')).then(() => {
+        return staleAPI.getCurrentBuild({ meta: true });
+      }).then(result => {
+        expect(result.data).to.deep.equal({ id: 1 });
+        expect(result.data.stale).to.equal(true);
+        expect(result.meta.stale).to.equal(true);
+
+        return new Promise(resolve => setImmediate(resolve));
+      }).then(() => staleAPI.getCurrentBuild({ meta: true })).then(result => {
+        expect(result.data).to.deep.equal({ id: 2 });
+        expect(result.data.stale).to.equal(undefined);
+        expect(result.meta.stale).to.equal(undefined);
+      });
+    });
+
+    it('should fall back to stale objects when the API is unavailable', function() {
+      staleAPI.config.staleWhileRevalidate = 0;
+      responses = [1, new GW2API.errors.UpstreamUnavailableError('items failed with HTTP 503')];
+
+      return staleAPI.getItems([1, 2]).then(() => Promise.all([expire('items', 1), expire('items', 2)])).then(() => {
+        return staleAPI.getItems([1, 2]);
+      }).then(items => {
+        expect(items.map(item => item.version)).to.deep.equal([1, 1]);
+        expect(items.stale).to.equal(true);
+      });
+    });
+
+    it('should not hide errors other than outages behind stale entries', function() {
+      staleAPI.config.staleWhileRevalidate = 0;
+      responses = [1, new GW2API.errors.InvalidKeyError('build failed with HTTP 401')];
+
+      return staleAPI.getCurrentBuild().then(() => expire('build')).then(() => {
+        return staleAPI.getCurrentBuild();
+      }).then(() => {
+        throw new Error('should have failed');
+      }, error => {
+        expect(error).to.be.instanceof(GW2API.errors.InvalidKeyError);
+      });
+    });
+  });
+
+  describe('expand', function() {
+    const mock = useMockServer();
+
+    it('should resolve the items of bank slots without changing cached responses', function() {
+      return mock.api.getAccountBank('MOCK-FULL-KEY', { expand: true }).then(bank => {
+        expect(bank[0].item.name).to.equal('Glob of Ectoplasm');
+        expect(bank[1]).to.equal(null);
+        expect(bank[2].item.name).to.equal('Pharus');
+
+        return mock.api.getAccountBank('MOCK-FULL-KEY');
+      }).then(bank => {
+        expect(bank[0].item).to.equal(undefined);
+      });
+    });
+
+    it('should resolve character equipment and bags in batched requests', function() {
+      return mock.api.getCharacters('MOCK-FULL-KEY', ['Mock Warrior'], { expand: true }).then(characters => {
+        const character = characters[0];
+        const weapon = character.equipment[0];
+
+        expect(weapon.item.name).to.equal('Pharus');
+        expect(weapon.skin.name).to.equal('Pharus');
+        expect(weapon.upgrades[0].name).to.equal('Vial of Powerful Blood');
+        expect(weapon.dyes).to.deep.equal([{ id: 1148, name: 'Abyss' }, null, null, null]);
+        expect(character.bags[0].item.name).to.equal('Mithril Ingot');
+        expect(character.bags[0].inventory[0].item.name).to.equal('Mithril Ore');
+        expect(mock.server.requests.filter(request => request.path === 'items')).to.have.length(1);
+
+        return mock.api.getCharacters('MOCK-FULL-KEY', 'Mock Warrior');
+      }).then(character => {
+        expect(character.equipment[0].skin).to.equal(6047);
+      });
+    });
+
+    it('should only expand the selected reference types', function() {
+      return mock.api.getCharacters('MOCK-FULL-KEY', 'Mock Warrior', { expand: { skins: true, items: false } }).then(character => {
+        const weapon = character.equipment[0];
+
+        expect(weapon.item).to.equal(undefined);
+        expect(weapon.skin.name).to.equal('Pharus');
+        expect(weapon.upgrades).to.deep.equal([24295]);
+      });
+    });
+
+    it('should resolve wallet currencies with meta', function() {
+      return mock.api.getAccountWallet('MOCK-FULL-KEY', { expand: ['currencies'], meta: true }).then(result => {
+        expect(result.data.map(entry => entry.currency.name)).to.deep.equal(['Coin', 'Karma', 'Gem']);
+        expect(result.meta.origin).to.equal('network');
+      });
+    });
+  });
+
+  describe('account value', function() {
+    const mock = useMockServer();
+
+    it('should value every source after the trading post fee', function() {
+      return mock.api.getAccountValue('MOCK-FULL-KEY').then(report => {
+        // 25 Globs of Ectoplasm at 2500 / 2650, minus the 5% listing and 10% exchange fees
+        expect(report.sources.bank).to.deep.equal({ instantSell: 53125, listing: 56312 });
+        expect(report.sources.wallet).to.deep.equal({ instantSell: 1250000, listing: 1250000 });
+        expect(report.sources.buyOrders).to.deep.equal({ instantSell: 700, listing: 700 });
+        // Listed at 2700, minus the 10% exchange fee
+        expect(report.sources.sellOrders.listing).to.equal(12150);
+        expect(report.total.listing).to.equal(Object.keys(report.sources).reduce((sum, source) => sum + report.sources[source].listing, 0));
+        expect(report.items[0]).to.include({ id: 19721, count: 25 });
+        expect(report.items.filter(item => item.id === 19700)[0].count).to.equal(500);
+        expect(report.skipped).to.deep.equal([]);
+      });
+    });
+
+    it('should round each trading post fee to at least 1 coin', function() {
+      const wealth = require('../lib/wealth');
+
+      expect(wealth.afterFees(2)).to.equal(0);
+      expect(wealth.afterFees(2, true)).to.equal(1);
+      // 1 coin of listing fee and 2 of exchange fee, rounded from 0.75 and 1.5
+      expect(wealth.afterFees(15)).to.equal(12);
+    });
+
+    it('should report account bound items separately', function() {
+      return mock.api.getAccountValue('MOCK-FULL-KEY', { top: 1 }).then(report => {
+        expect(report.items).to.have.length(1);
+        expect(report.excluded).to.deep.equal([
+          { id: 46731, name: 'Pharus', count: 1, reason: 'AccountBound' },
+          { id: 19721, name: 'Glob of Ectoplasm', count: 2, reason: 'Bound' }
+        ]);
+      });
+    });
+
+    it('should skip the sources the key has no permission for', function() {
+      return mock.api.withKey('MOCK-ACCOUNT-KEY').getAccountValue().then(report => {
+        expect(report.skipped).to.deep.equal(['wallet', 'bank', 'materials', 'inventory', 'characters', 'buys', 'sells']);
+        expect(report.total).to.deep.equal({ instantSell: 0, listing: 0 });
+        expect(mock.server.requests.map(request => request.path)).to.deep.equal(['tokeninfo']);
+      });
+    });
+  });
+
+  describe('crafting plan', function() {
+    const mock = useMockServer();
+
+    it('should craft the nodes cheaper to craft than to buy with their cheapest recipe', function() {
+      return mock.api.getCraftingPlan(46731).then(plan => {
+        const ingot = plan.tree.ingredients[0];
+
+        expect(plan.tree.action).to.equal('craft');
+        // 10 ingots from 2 ore each at 10, cheaper than 45 per ingot or 3 ore each
+        expect(ingot).to.include({ id: 19684, action: 'craft', recipe: 19, crafts: 10, buyCost: 450, cost: 200 });
+        expect(plan.tree.ingredients[1]).to.include({ id: 19721, action: 'buy', cost: 13250 });
+        expect(plan.cost).to.equal(13450);
+        expect(plan.unpriced).to.deep.equal([19674]);
+      });
+    });
+
+    it('should buy items whose recipes need unpriced ingredients', function() {
+      const crafting = require('../lib/crafting');
+      const tree = crafting.buildTree(1, 1, {
+        recipesByOutput: { 1: [10, 11] },
+        recipes: {
+          10: { id: 10, output_item_count: 1, ingredients: [{ item_id: 2, count: 1 }] },
+          11: { id: 11, output_item_count: 1, ingredients: [{ item_id: 3, count: 1 }, { item_id: 4, count: 1 }] }
+        },
+        items: {
+          1: { id: 1, flags: [] },
+          2: { id: 2, flags: [] },
+          3: { id: 3, flags: [] },
+          4: { id: 4, flags: ['AccountBound'] }
+        },
+        prices: {
+          1: { sells: { unit_price: 100 } },
+          2: { sells: { unit_price: 150 } },
+          3: { sells: { unit_price: 10 } }
+        }
+      });
+
+      // Recipe 11 only costs 10 because item 4 has no price
+      expect(tree).to.include({ action: 'buy', cost: 100, recipe: 10, craftCost: 150 });
+      expect(tree.unpriced).to.deep.equal([]);
+    });
+
+    it('should flatten the plan into a shopping list', function() {
+      return mock.api.getCraftingPlan(46731, { quantity: 2 }).then(plan => {
+        expect(plan.shoppingList.buy).to.deep.equal([
+          { id: 19700, name: 'Mithril Ore', quantity: 40, unitPrice: 10, cost: 400 },
+          { id: 19721, name: 'Glob of Ectoplasm', quantity: 10, unitPrice: 2650, cost: 26500 }
+        ]);
+        // Account bound and without recipe
+        expect(plan.shoppingList.acquire).to.deep.equal([{ id: 19674, name: 'Gift of Mastery', quantity: 2 }]);
+      });
+    });
+
+    it('should buy items without recipes', function() {
+      return mock.api.getCraftingPlan(19721, { quantity: 3 }).then(plan => {
+        expect(plan.tree).to.include({ action: 'buy', cost: 7950 });
+        expect(plan.tree.ingredients).to.equal(undefined);
+      });
+    });
+  });
+
+  describe('flips', function() {
+    const mock = useMockServer({
+      server: {
+        data: {
+          'items': [
+            { id: 1, name: 'Omnomberry Bar', type: 'Consumable', rarity: 'Fine', level: 80, vendor_value: 10, flags: [] },
+            { id: 2, name: 'Vial of Powerful Blood', type: 'CraftingMaterial', rarity: 'Rare', level: 0, vendor_value: 25, flags: [] },
+            { id: 3, name: 'Mithril Ore', type: 'CraftingMaterial', rarity: 'Basic', level: 0, vendor_value: 3, flags: [] },
+            { id: 4, name: 'Unwanted Dye', type: 'Consumable', rarity: 'Masterwork', level: 0, vendor_value: 5, flags: [] }
+          ],
+          'commerce/prices': [
+            { id: 1, whitelisted: false, buys: { quantity: 500, unit_price: 100 }, sells: { quantity: 300, unit_price: 200 } },
+            { id: 2, whitelisted: false, buys: { quantity: 50, unit_price: 1000 }, sells: { quantity: 40, unit_price: 1400 } },
+            { id: 3, whitelisted: false, buys: { quantity: 90000, unit_price: 100 }, sells: { quantity: 50000, unit_price: 110 } },
+            { id: 4, whitelisted: false, buys: { quantity: 0, unit_price: 0 }, sells: { quantity: 10, unit_price: 500 } }
+          ],
+          'commerce/listings': [
+            {
+              id: 1,
+              buys: [{ listings: 2, unit_price: 100, quantity: 200 }, { listings: 3, unit_price: 90, quantity: 300 }],
+              sells: [{ listings: 1, unit_price: 200, quantity: 100 }, { listings: 4, unit_price: 300, quantity: 200 }]
+            },
+            {
+              id: 2,
+              buys: [{ listings: 5, unit_price: 1000, quantity: 50 }],
+              sells: [{ listings: 2, unit_price: 1400, quantity: 40 }]
+            }
+          ]
+        }
+      }
+    });
+
+    it('should rank the items by profit after the trading post fee', function() {
+      return mock.api.findFlips().then(flips => {
+        // 1400 minus 70 and 140 of fees is 1190, 200 minus 10 and 20 is 170. Ore and dye have no margin or no buy orders
+        expect(flips.map(flip => [flip.id, flip.profit])).to.deep.equal([[2, 190], [1, 70]]);
+        expect(flips[0]).to.include({ name: 'Vial of Powerful Blood', rarity: 'Rare', buyPrice: 1000, sellPrice: 1400, demand: 50, supply: 40 });
+        expect(flips[1].roi).to.equal(0.7);
+      });
+    });
+
+    it('should filter by volume, price, type and rarity and sort by roi', function() {
+      return Promise.all([
+        mock.api.findFlips({ minSupply: 100 }),
+        mock.api.findFlips({ maxPrice: 500, depth: false }),
+        mock.api.findFlips({ types: ['CraftingMaterial'], rarities: ['Rare', 'Exotic'] }),
+        mock.api.findFlips({ sortBy: 'roi' })
+      ]).then(results => {
+        expect(results.map(flips => flips.map(flip => flip.id))).to.deep.equal([[1], [1], [2], [1, 2]]);
+      });
+    });
+
+    it('should estimate the units that can be flipped from the listings', function() {
+      return mock.api.findFlips({ limit: 1, minRoi: 0.5 }).then(flips => {
+        // 100 units bought at 100 and sold at 200, the next units would be sold to the buy orders at 100
+        expect(flips[0].depth).to.deep.equal({ units: 100, profit: 7000 });
+        expect(mock.server.requests.filter(request => request.path === 'commerce/listings')[0].qs.ids).to.equal('1');
+      });
+    });
+
+    it('should stop the depth at the first price level where the margin shrinks under minProfit', function() {
+      const flips = require('../lib/flips');
+      const listings = {
+        buys: [{ listings: 1, unit_price: 80, quantity: 30 }, { listings: 1, unit_price: 100, quantity: 10 }],
+        sells: [{ listings: 1, unit_price: 200, quantity: 50 }, { listings: 1, unit_price: 150, quantity: 5 }]
+      };
+
+      // 5 units bought at 100 and sold at 150 earn 27 each, the 6th would be sold to the buy order at 100
+      expect(flips.depth(listings)).to.deep.equal({ units: 5, profit: 135 });
+      expect(flips.depth(listings, 30)).to.deep.equal({ units: 0, profit: 0 });
+    });
+
+    it('should stop the depth where the margin falls under minProfit', function() {
+      return mock.api.findFlips({ ids: [2], minProfit: 190 }).then(flips => {
+        expect(flips[0].depth).to.deep.equal({ units: 40, profit: 7600 });
+
+        return mock.api.findFlips({ ids: [2], minProfit: 191 });
+      }).then(flips => {
+        expect(flips).to.deep.equal([]);
+      });
+    });
+  });
+
+  describe('price history', function() {
+    const HOUR = 3600 * 1000;
+    const START = Date.UTC(2016, 4, 1);
+    var directory;
+
+    function price(id, buy, sell) {
+      return { id: id, whitelisted: false, buys: { quantity: 100, unit_price: buy }, sells: { quantity: 50, unit_price: sell } };
+    }
+
+    // Records a sell price per hour, from START
+    function recordSells(history, id, sells) {
+      return sells.reduce((previous, sell, i) => {
+        return previous.then(() => history.record([price(id, sell - 10, sell)], START + i * HOUR));
+      }, Promise.resolve());
+    }
+
+    beforeEach(function() {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gw2api-prices-'));
+    });
+
+    afterEach(function() {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should snapshot the prices of a watchlist to disk', function() {
+      const server = new GW2API.MockServer();
+
+      return server.listen().then(baseURL => {
+        const gw2api = new GW2API({ baseURL: baseURL, rateLimit: false, priceHistory: { directory: directory } });
+
+        return gw2api.snapshotPrices([19721, 19700])
+          .then(result => {
+            expect(result.count).to.equal(2);
+            return gw2api.snapshotPrices([19721]);
+          })
+          .then(() => new GW2API({ priceHistory: { directory: directory } }).getPriceHistory(19721));
+      }).then(points => {
+        expect(points).to.have.length(2);
+        expect(points[1]).to.include({ buy: 2500, sell: 2650, demand: 30000, supply: 15000 });
+        expect(points[0].time).to.be.at.most(points[1].time);
+      }).then(() => server.close(), error => server.close().then(() => { throw error; }));
+    });
+
+    it('should compute trend statistics over a window', function() {
+      const history = new GW2API.PriceHistory({ directory: directory });
+
+      return recordSells(history, 19721, [1000, 100, 110, 100, 120, 200]).then(() => {
+        return history.stats(19721, { window: 4.5 * 3600, until: START + 5 * HOUR });
+      }).then(stats => {
+        // The first point is out of the window
+        expect(stats).to.include({ count: 5, latest: 200, average: 126, min: 100, max: 200, change: 100 });
+        expect(stats.deviation).to.be.closeTo(1.96, 0.01);
+        expect(stats.volatility).to.be.above(0);
+
+        return history.stats(19721, { field: 'buy', window: 3600, until: START + 5 * HOUR });
+      }).then(stats => {
+        expect(stats).to.include({ count: 2, latest: 190 });
+        expect(stats.change).to.be.closeTo(72.73, 0.01);
+      });
+    });
+
+    it('should compute trailing moving averages', function() {
+      const history = new GW2API.PriceHistory({ directory: directory });
+
+      return recordSells(history, 19721, [100, 200, 300, 400]).then(() => {
+        return history.movingAverage(19721, { period: 2 * 3600, window: 3600, until: START + 3 * HOUR });
+      }).then(averages => {
+        expect(averages).to.deep.equal([
+          { time: START + 2 * HOUR, value: 250 },
+          { time: START + 3 * HOUR, value: 350 }
+        ]);
+      });
+    });
+
+    it('should drop points older than the retention', function() {
+      const history = new GW2API.PriceHistory({ directory: directory, retention: 2 * 3600 });
+
+      return recordSells(history, 19721, [100, 200, 300, 400])
+        .then(() => history.series(19721))
+        .then(points => {
+          expect(points.map(point => point.sell)).to.deep.equal([200, 300, 400]);
+        });
+    });
+
+    it('should append snapshots and delete the days past the retention', function() {
+      const DAY = 24 * HOUR;
+      const history = new GW2API.PriceHistory({ directory: directory, retention: 24 * 3600 });
+
+      return history.record([price(19721, 90, 100), price(1, 10, 20)], START)
+        .then(() => history.record([price(19721, 100, 110), price(1, 10, 20)], START + HOUR))
+        .then(() => {
+          const lines = fs.readFileSync(path.join(directory, `prices.19.${START / DAY}.jsonl`), 'utf8').trim().split('\n');
+          expect(lines).to.have.length(2);
+
+          // Item 1 left the watchlist
+          return history.record([price(19721, 110, 120)], START + 2 * DAY);
+        })
+        .then(() => {
+          expect(fs.readdirSync(directory).sort()).to.deep.equal([`prices.19.${START / DAY + 2}.jsonl`, 'prices.json']);
+
+          return Promise.all([history.series(1), history.series(19721)]);
+        })
+        .then(results => {
+          expect(results[0]).to.deep.equal([]);
+          expect(results[1].map(point => point.sell)).to.deep.equal([120]);
+        });
+    });
+
+    it('should snapshot periodically until stopped', function(done) {
+      const gw2api = new GW2API({ priceHistory: { directory: directory } });
+      var snapshots = 0;
+
+      gw2api.getPrices = function(ids) {
+        return Promise.resolve(ids.map(id => price(id, 10, 20)));
+      };
+
+      const tracker = gw2api.trackPrices([1], {
+        interval: 0.01,
+        onError: done,
+        onSnapshot: () => {
+          if (++snapshots === 2) {
+            tracker.stop();
+            gw2api.getPriceHistory(1).then(points => {
+              expect(points).to.have.length(2);
+              done();
+            }).catch(done);
+          }
+        }
+      });
+    });
+
+    it('should skip snapshots due while the previous one is running', function() {
+      const gw2api = new GW2API({ priceHistory: { directory: directory } });
+      var requests = [];
+
+      gw2api.getPrices = function(ids) {
+        return new Promise(resolve => requests.push(() => resolve(ids.map(id => price(id, 10, 20)))));
+      };
+
+      var tracker;
+      const recorded = new Promise(resolve => {
+        tracker = gw2api.trackPrices([1], { interval: 0.01, onSnapshot: resolve });
+      });
+
+      return new Promise(resolve => setTimeout(resolve, 50)).then(() => {
+        tracker.stop();
+        expect(requests).to.have.length(1);
+        requests[0]();
+
+        return recorded;
+      });
+    });
+
+    it('should reject without a configured price history', function() {
+      return new GW2API().getPriceStats(19721).then(() => {
+        throw new Error('should have failed');
+      }, error => {
+        expect(error.message).to.contain('config.priceHistory');
+      });
+    });
+  });
 });
\ No newline at end of file
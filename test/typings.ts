@@ -0,0 +1,92 @@
+// Usage of the declarations of index.d.ts, compiled by `npm run typecheck` and never run.
+// Each assignment checks the type a call resolves with.
+
+import GW2API = require('../index');
+
+const gw2api = new GW2API({ baseURL: 'http://localhost:3000/v2', timeout: 5000, rateLimit: false });
+
+async function details() {
+  const item: GW2API.Item = await gw2api.getItems(12452);
+  const items: GW2API.Item[] = await gw2api.getItems([12452, 19721], { lang: 'de' });
+  const ids: number[] = await gw2api.getItems();
+  const all: GW2API.Item[] = await gw2api.getItems('all');
+  const failures = (await gw2api.getItems([1, 2])).failures;
+
+  const result = await gw2api.getPrices([19721], { meta: true });
+  const meta: GW2API.Meta = result.meta;
+  const prices: GW2API.Price[] = result.data;
+
+  const region: GW2API.Region = await gw2api.getRegions(1, 2, 3);
+  const localized = await gw2api.getLocalized('items', 12452, { langs: ['en', 'fr'] });
+}
+
+async function authenticated() {
+  const controller = new AbortController();
+  const account: GW2API.Account = await gw2api.getAccount('key', { signal: controller.signal, timeout: 1000 });
+  const character: GW2API.Character = await gw2api.getCharacters('key', 'Mock Warrior');
+  const characters: GW2API.Character[] = await gw2api.getCharacters('key', ['Mock Warrior']);
+  const names: string[] = await gw2api.listCharacters('key', 0, 10);
+  const orders: GW2API.Transaction[] = await gw2api.listCurrentBuyTransactions('key', 0, 50);
+  const history: GW2API.Transaction[] = await gw2api.iterateHistoricalSellTransactions('key', { limit: 100 }).toArray();
+  const treasury: GW2API.GuildTreasuryEntry[] = await gw2api.getGuildTreasury('key', 'guild-id');
+
+  for await (const game of gw2api.iteratePvPGames('key')) {
+    const id: string = game.id;
+  }
+
+  const capabilities: GW2API.KeyCapabilities = await gw2api.getKeyCapabilities('key', { timeout: 1000 });
+  const session: GW2API.GW2APISession = gw2api.withKey('key');
+  const wallet: GW2API.WalletEntry[] = await session.getAccountWallet();
+  const sessionCapabilities: GW2API.KeyCapabilities = await session.getCapabilities({ signal: controller.signal });
+}
+
+async function expand() {
+  const bank = await gw2api.getAccountBank('key', { expand: ['items', 'skins'] });
+  const wallet = await gw2api.getAccountWallet('key', { expand: { currencies: true } });
+  const currency: string | undefined = wallet[0].currency && wallet[0].currency.name;
+}
+
+async function errors() {
+  try {
+    await gw2api.getCurrentBuild();
+  }
+  catch (error) {
+    if (error instanceof GW2API.errors.AbortError)
+      console.log(error.path);
+  }
+
+  gw2api.on('response', event => console.log(event.duration));
+}
+
+async function features() {
+  const report: GW2API.AccountValue = await gw2api.getAccountValue('key', { top: 5 });
+  const total: number = report.total.instantSell + report.total.listing;
+
+  const plan: GW2API.CraftingPlan = await gw2api.getCraftingPlan(46731, { quantity: 2 });
+  const unpriced: number[] = plan.unpriced;
+  const cost: number = plan.shoppingList.buy[0].cost + plan.tree.cost;
+
+  const flips: GW2API.Flip[] = await gw2api.findFlips({ minSupply: 100, rarities: ['Exotic'], sortBy: 'roi' });
+  const units: number = flips[0].depth ? flips[0].depth.units : 0;
+
+  const status: GW2API.StaticStoreStatus[] = await gw2api.getStaticStoreStatus(['en'], { timeout: 1000 });
+}
+
+async function priceHistory() {
+  const tracked = new GW2API({ priceHistory: { directory: './prices' } });
+  const tracker: GW2API.PriceTracker = tracked.trackPrices([19721], { interval: 600, onError: error => console.log(error.message) });
+  tracker.stop();
+
+  const stats = await tracked.getPriceStats(19721, { window: 86400 });
+  const high: boolean = stats !== undefined && stats.deviation > 2;
+
+  const history = new GW2API.PriceHistory({ directory: './prices' });
+  const averages = await history.movingAverage(19721, { period: 3600 });
+}
+
+async function mockServer() {
+  const server = new GW2API.MockServer();
+  const baseURL: string = await server.listen();
+
+  await server.close();
+}